@@ -0,0 +1,227 @@
+console.log('Job board module loading...');
+
+// Board view of open jobs for the morning stand-up. Columns are either the job-age buckets
+// (recent / borderline / deadline, from getJobStatus) or the job stages from job-stages.js.
+// In the stage grouping cards can be dragged between columns; moves are saved to job_stages.
+
+const BOARD_AGE_COLUMNS = [
+  { value: 'recent', label: 'On track' },
+  { value: 'approaching', label: 'Borderline' },
+  { value: 'overdue', label: 'Deadline' }
+];
+const BOARD_NO_STAGE = 'none';
+
+let boardActive = false;
+let boardGroupBy = 'stage';
+let boardJobs = [];
+let boardStatusMap = {};
+let boardOptions = {};
+
+function boardColumns() {
+  if (boardGroupBy === 'age') return BOARD_AGE_COLUMNS;
+  return [{ value: BOARD_NO_STAGE, label: 'Not started' }, ...window.jobStages.STAGES];
+}
+
+function boardColumnFor(invoice) {
+  if (boardGroupBy === 'age') return boardOptions.getJobStatus(invoice) || 'recent';
+  return boardStatusMap[invoice.InvoiceID]?.stage || BOARD_NO_STAGE;
+}
+
+function createBoardCard(invoice) {
+  const card = document.createElement('div');
+  card.className = `board-card ${boardOptions.getJobStatus(invoice) || ''}`;
+  card.dataset.id = invoice.InvoiceID;
+
+  const ageDays = boardOptions.getJobAgeDays(invoice);
+  const stage = boardStatusMap[invoice.InvoiceID]?.stage;
+
+  card.innerHTML = `
+    <div class="board-card-title">#${invoice.InvoiceNumber || 'N/A'}</div>
+    <div class="board-card-customer">${invoice.Contact?.Name || 'N/A'}</div>
+    <div class="board-card-meta">
+      ${ageDays !== null ? `<span>${ageDays} business days</span>` : ''}
+      ${boardGroupBy === 'age' && stage ? `<span class="job-stage-badge stage-${stage}">${window.jobStages.getLabel(stage)}</span>` : ''}
+    </div>
+  `;
+
+  // Dragging only makes sense between stages - age is worked out from the invoice date
+  if (boardGroupBy === 'stage') {
+    card.draggable = true;
+    card.addEventListener('dragstart', event => {
+      event.dataTransfer.setData('text/plain', invoice.InvoiceID);
+      event.dataTransfer.effectAllowed = 'move';
+      card.classList.add('dragging');
+    });
+    card.addEventListener('dragend', () => card.classList.remove('dragging'));
+  }
+
+  card.addEventListener('click', () => {
+    hideBoardSection();
+    boardOptions.onOpenInvoice(invoice.InvoiceID);
+  });
+
+  return card;
+}
+
+function renderBoard() {
+  const boardElement = document.getElementById('job-board');
+  if (!boardElement) {
+    console.error('Job board element not found');
+    return;
+  }
+
+  const columns = boardColumns();
+  const jobsByColumn = {};
+  columns.forEach(column => { jobsByColumn[column.value] = []; });
+  boardJobs.forEach(invoice => {
+    const columnValue = boardColumnFor(invoice);
+    (jobsByColumn[columnValue] || jobsByColumn[columns[0].value]).push(invoice);
+  });
+
+  boardElement.innerHTML = '';
+  columns.forEach(column => {
+    const columnElement = document.createElement('div');
+    columnElement.className = `board-column board-column-${column.value}`;
+    columnElement.dataset.column = column.value;
+    columnElement.innerHTML = `
+      <div class="board-column-header">
+        <span>${column.label}</span>
+        <span class="board-column-count">${jobsByColumn[column.value].length}</span>
+      </div>
+      <div class="board-column-cards"></div>
+    `;
+
+    const cardsElement = columnElement.querySelector('.board-column-cards');
+    jobsByColumn[column.value].forEach(invoice => cardsElement.appendChild(createBoardCard(invoice)));
+
+    if (boardGroupBy === 'stage') {
+      columnElement.addEventListener('dragover', event => {
+        event.preventDefault();
+        columnElement.classList.add('drag-over');
+      });
+      columnElement.addEventListener('dragleave', () => columnElement.classList.remove('drag-over'));
+      columnElement.addEventListener('drop', event => {
+        event.preventDefault();
+        columnElement.classList.remove('drag-over');
+        moveBoardJob(event.dataTransfer.getData('text/plain'), column.value);
+      });
+    }
+
+    boardElement.appendChild(columnElement);
+  });
+
+  document.getElementById('board-count').textContent = `(${boardJobs.length})`;
+}
+
+// Persist a drag-and-drop move; the card snaps back if saving fails
+async function moveBoardJob(invoiceId, stage) {
+  const invoice = boardJobs.find(job => job.InvoiceID === invoiceId);
+  if (!invoice || stage === BOARD_NO_STAGE) {
+    if (stage === BOARD_NO_STAGE) showMessage('Jobs can\'t be moved back to "Not started".', 'info');
+    return;
+  }
+  const previousStatus = boardStatusMap[invoiceId] || { hasNote: false, hasReminder: false, stage: null };
+  if (previousStatus.stage === stage) return;
+
+  // Move the card straight away, then save
+  boardStatusMap[invoiceId] = { ...previousStatus, stage };
+  renderBoard();
+
+  try {
+    await window.jobStages.save(invoice, stage);
+    showMessage(`#${invoice.InvoiceNumber} moved to ${window.jobStages.getLabel(stage)}.`);
+    if (typeof boardOptions.onStageChanged === 'function') boardOptions.onStageChanged(invoiceId, stage);
+  } catch (error) {
+    console.error('Error moving job on the board:', error);
+    boardStatusMap[invoiceId] = previousStatus;
+    renderBoard();
+    showMessage(`Failed to move #${invoice.InvoiceNumber}. Please try again.`, 'error');
+  }
+}
+
+// Reload the open jobs for the active organisation
+async function refreshBoard() {
+  const boardElement = document.getElementById('job-board');
+  const requestTenantId = window.tenantId;
+  boardElement.innerHTML = `
+    <div class="loading-indicator">
+      <div class="spinner"></div>
+      <p>Loading open jobs...</p>
+    </div>
+  `;
+
+  try {
+    const { invoices, statusMap } = await boardOptions.loadJobs();
+    if (requestTenantId !== window.tenantId || !boardActive) return;
+    boardJobs = invoices;
+    boardStatusMap = statusMap;
+    renderBoard();
+  } catch (error) {
+    console.error('Error loading the job board:', error);
+    boardElement.innerHTML = '<div class="error-message">Failed to load open jobs. Please try again.</div>';
+  }
+}
+
+function showBoardSection() {
+  document.getElementById('results-section').classList.add('hidden');
+  document.getElementById('detail-section').classList.add('hidden');
+  document.getElementById('board-section').classList.remove('hidden');
+  document.getElementById('search-section').classList.add('board-mode');
+}
+
+function hideBoardSection() {
+  document.getElementById('board-section').classList.add('hidden');
+  document.getElementById('search-section').classList.remove('board-mode');
+}
+
+/**
+ * Switches between the list and the board.
+ * @param {'list'|'board'} view
+ */
+async function setBoardView(view) {
+  window.arDashboard.hide();
+  window.customerProfile.hide();
+  window.remindersInbox.hide();
+  boardActive = view === 'board';
+  document.getElementById('view-list-btn').classList.toggle('active', !boardActive);
+  document.getElementById('view-board-btn').classList.toggle('active', boardActive);
+
+  if (boardActive) {
+    showBoardSection();
+    await refreshBoard();
+  } else {
+    hideBoardSection();
+    document.getElementById('detail-section').classList.add('hidden');
+    document.getElementById('results-section').classList.remove('hidden');
+  }
+}
+
+/**
+ * Binds the board controls.
+ * @param {object} options
+ * @param {function} options.loadJobs - Resolves to { invoices, statusMap } of the open jobs.
+ * @param {function} options.getJobStatus - getJobStatus(invoice): 'recent' | 'approaching' | 'overdue' | null.
+ * @param {function} options.getJobAgeDays - Business days since the invoice date (or null).
+ * @param {function} options.onOpenInvoice - Shows the invoice detail view for an InvoiceID.
+ * @param {function} [options.onStageChanged] - Called with (invoiceId, stage) after a card is moved.
+ */
+function initBoard(options) {
+  boardOptions = options;
+
+  document.getElementById('view-list-btn')?.addEventListener('click', () => setBoardView('list'));
+  document.getElementById('view-board-btn')?.addEventListener('click', () => setBoardView('board'));
+  document.getElementById('board-refresh-btn')?.addEventListener('click', refreshBoard);
+  document.getElementById('board-group-by')?.addEventListener('change', event => {
+    boardGroupBy = event.target.value;
+    renderBoard();
+  });
+}
+
+// Export functions for use in the main application
+window.jobBoard = {
+  init: initBoard,
+  setView: setBoardView,
+  refresh: refreshBoard,
+  show: showBoardSection,
+  isActive: () => boardActive
+};
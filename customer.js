@@ -0,0 +1,369 @@
+console.log('Customer profile module loading...');
+
+// Customer (clinic) page: the contact's details from Xero, every invoice for the contact, what
+// they owe, how long they take to pay, and the notes and reminders kept against their account.
+// Opened from the customer name in the invoice list.
+
+// Views the customer page can be opened over; Back returns to whichever was showing
+const CUSTOMER_RETURN_SECTIONS = ['results-section', 'detail-section', 'board-section', 'dashboard-section'];
+const CUSTOMER_CLOSED_STATUSES = ['VOIDED', 'DELETED'];
+const CUSTOMER_DAY_MS = 24 * 60 * 60 * 1000;
+
+let customerContactId = null;
+let customerReturnSection = null;
+let customerOpenedInvoice = false;
+let customerOptions = {};
+
+function formatCustomerAmount(amount) {
+  return amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function customerDateString(dateValue) {
+  const date = customerOptions.parseDate(dateValue);
+  return date ? date.toLocaleDateString() : 'N/A';
+}
+
+// Notes and reminders are stored against the account number, or the ContactID when the contact
+// has none (see initNotesAndReminders) - look under both
+function customerAccountKeys(contact) {
+  return [...new Set([contact.AccountNumber, contact.ContactID].filter(Boolean))];
+}
+
+async function fetchCustomerContact(contactId) {
+  const response = await xeroApiFetch(`/api/xero-api/Contacts/${encodeURIComponent(contactId)}`);
+  if (!response.ok) {
+    throw new Error(`Failed to load the contact: ${response.status}`);
+  }
+  const data = await response.json();
+  return (data.Contacts || [])[0] || null;
+}
+
+// Notes or reminders ('notes' | 'reminders') for every account key, without duplicates
+async function fetchCustomerHistory(kind, accountKeys) {
+  const lists = await Promise.all(accountKeys.map(async accountKey => {
+    const response = await fetch(`/api/firebase-api/${kind}/${encodeURIComponent(accountKey)}?tenantId=${encodeURIComponent(window.tenantId || '')}`);
+    if (!response.ok) {
+      throw new Error(`Error fetching ${kind}: ${response.status}`);
+    }
+    const data = await response.json();
+    return data[kind] || [];
+  }));
+
+  const byId = new Map();
+  lists.flat().forEach(item => byId.set(item.id, item));
+  return Array.from(byId.values());
+}
+
+/**
+ * Totals for the customer's invoices. Amounts are in the organisation's base currency.
+ * @param {Array<object>} invoices - Xero invoices for one contact.
+ * @returns {{invoiceCount: number, billed: number, outstanding: number, overdue: number,
+ *            averageDaysToPay: number|null, paidCount: number}}
+ */
+function summariseCustomerInvoices(invoices) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const summary = { invoiceCount: 0, billed: 0, outstanding: 0, overdue: 0, averageDaysToPay: null, paidCount: 0 };
+  let daysToPayTotal = 0;
+
+  invoices.forEach(invoice => {
+    if (CUSTOMER_CLOSED_STATUSES.includes(invoice.Status)) return;
+    // CurrencyRate is foreign units per base unit (1 for base currency invoices)
+    const rate = Number(invoice.CurrencyRate) || 1;
+    summary.invoiceCount++;
+    summary.billed += Number(invoice.Total || 0) / rate;
+
+    if (invoice.Status === 'AUTHORISED') {
+      const amountDue = Number(invoice.AmountDue || 0) / rate;
+      summary.outstanding += amountDue;
+      const dueDate = customerOptions.parseDate(invoice.DueDateString || invoice.DueDate);
+      if (dueDate && dueDate < today) summary.overdue += amountDue;
+    }
+
+    // Turnaround: invoice date to the day it was paid in full
+    const invoiceDate = customerOptions.parseDate(invoice.DateString || invoice.Date);
+    const paidDate = customerOptions.parseDate(invoice.FullyPaidOnDate);
+    if (invoice.Status === 'PAID' && invoiceDate && paidDate) {
+      daysToPayTotal += Math.max(0, Math.round((paidDate - invoiceDate) / CUSTOMER_DAY_MS));
+      summary.paidCount++;
+    }
+  });
+
+  if (summary.paidCount > 0) summary.averageDaysToPay = Math.round(daysToPayTotal / summary.paidCount);
+  return summary;
+}
+
+function renderCustomerContact(contact) {
+  const person = [contact.FirstName, contact.LastName].filter(Boolean).join(' ');
+  const phones = (contact.Phones || [])
+    .filter(phone => phone.PhoneNumber)
+    .map(phone => `${phone.PhoneType === 'MOBILE' ? 'Mobile' : 'Phone'}: ${[phone.PhoneCountryCode, phone.PhoneAreaCode, phone.PhoneNumber].filter(Boolean).join(' ')}`);
+  const addresses = (contact.Addresses || [])
+    .map(address => [address.AddressLine1, address.AddressLine2, address.City, address.Region, address.PostalCode, address.Country].filter(Boolean).join(', '))
+    .filter(Boolean);
+  const otherPeople = (contact.ContactPersons || [])
+    .map(other => `${[other.FirstName, other.LastName].filter(Boolean).join(' ')}${other.EmailAddress ? ` (${other.EmailAddress})` : ''}`);
+
+  return `
+    <div class="customer-card">
+      <h3>Contact details</h3>
+      ${contact.AccountNumber ? `<div><span class="item-date">Account</span> ${contact.AccountNumber}</div>` : ''}
+      ${person ? `<div><span class="item-date">Contact</span> ${person}</div>` : ''}
+      ${contact.EmailAddress ? `<div><span class="item-date">Email</span> <a href="mailto:${contact.EmailAddress}">${contact.EmailAddress}</a></div>` : ''}
+      ${phones.map(phone => `<div>${phone}</div>`).join('')}
+      ${addresses.length > 0 ? `<div><span class="item-date">Address</span> ${addresses[0]}</div>` : ''}
+      ${otherPeople.length > 0 ? `<div><span class="item-date">Also</span> ${otherPeople.join('; ')}</div>` : ''}
+      ${contact.ContactStatus && contact.ContactStatus !== 'ACTIVE' ? `<div class="tracking-warning">${contact.ContactStatus.toLowerCase()} in Xero</div>` : ''}
+    </div>
+  `;
+}
+
+function renderCustomerSummary(summary) {
+  const tile = (label, value, className = '') => `
+    <div class="customer-stat ${className}">
+      <span class="item-date">${label}</span>
+      <strong>${value}</strong>
+    </div>
+  `;
+  return `
+    <div class="customer-stats">
+      ${tile('Outstanding', formatCustomerAmount(summary.outstanding))}
+      ${tile('Overdue', formatCustomerAmount(summary.overdue), summary.overdue > 0 ? 'overdue' : '')}
+      ${tile('Invoices', summary.invoiceCount)}
+      ${tile('Billed', formatCustomerAmount(summary.billed))}
+      ${tile('Average turnaround', summary.averageDaysToPay === null ? 'N/A' : `${summary.averageDaysToPay} days to pay`)}
+    </div>
+  `;
+}
+
+function renderCustomerInvoices(invoices) {
+  if (invoices.length === 0) {
+    return '<div class="empty-state"><p>No invoices for this customer.</p></div>';
+  }
+
+  return `
+    <table class="customer-invoice-table">
+      <thead>
+        <tr>
+          <th>Invoice</th>
+          <th>Reference</th>
+          <th>Date</th>
+          <th>Due</th>
+          <th>Status</th>
+          <th class="ageing-amount">Total</th>
+          <th class="ageing-amount">Due</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${invoices.map(invoice => `
+          <tr data-id="${invoice.InvoiceID}">
+            <td><button type="button" class="link-button">#${invoice.InvoiceNumber || 'N/A'}</button></td>
+            <td>${invoice.Reference || ''}</td>
+            <td>${customerDateString(invoice.DateString || invoice.Date)}</td>
+            <td>${customerDateString(invoice.DueDateString || invoice.DueDate)}</td>
+            <td><span class="invoice-status status-${(invoice.Status || '').toLowerCase()}">${invoice.Status || 'Unknown'}</span></td>
+            <td class="ageing-amount">${invoice.CurrencyCode || ''} ${Number(invoice.Total || 0).toFixed(2)}</td>
+            <td class="ageing-amount">${Number(invoice.AmountDue || 0) > 0 ? Number(invoice.AmountDue).toFixed(2) : ''}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderCustomerNotes(notes) {
+  if (notes.length === 0) {
+    return '<div class="empty-state"><p>No notes for this customer.</p></div>';
+  }
+
+  return notes
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(note => `
+      <div class="item-card">
+        <div class="item-header">
+          <span class="item-date">${note.createdAt ? new Date(note.createdAt).toLocaleString() : ''}</span>
+          ${note.invoiceId ? `<button type="button" class="link-button customer-open-invoice" data-id="${note.invoiceId}">View invoice</button>` : ''}
+        </div>
+        <div class="item-content">${note.text}</div>
+      </div>
+    `).join('');
+}
+
+function renderCustomerReminders(reminders) {
+  if (reminders.length === 0) {
+    return '<div class="empty-state"><p>No reminders for this customer.</p></div>';
+  }
+
+  const statusLabels = { completed: 'Completed', overdue: 'Overdue', 'due-today': 'Due Today', pending: 'Pending' };
+  return reminders
+    .sort((a, b) => (a.completed - b.completed) || (new Date(a.dueDate) - new Date(b.dueDate)))
+    .map(reminder => {
+      const status = getReminderStatus(reminder.dueDate, reminder.completed);
+      return `
+        <div class="item-card reminder-card ${reminder.completed ? 'completed' : ''}">
+          <div class="item-header">
+            <div>
+              <span class="reminder-status status-${status}">${statusLabels[status]}</span>
+              <span class="item-date">Due: ${reminder.dueDate ? new Date(reminder.dueDate).toLocaleDateString() : 'N/A'}</span>
+            </div>
+            ${reminder.invoiceId ? `<button type="button" class="link-button customer-open-invoice" data-id="${reminder.invoiceId}">View invoice</button>` : ''}
+          </div>
+          <div class="item-content">${reminder.text}</div>
+        </div>
+      `;
+    }).join('');
+}
+
+function openInvoiceFromCustomer(invoiceId) {
+  customerOpenedInvoice = true;
+  document.getElementById('customer-section').classList.add('hidden');
+  customerOptions.onOpenInvoice(invoiceId);
+}
+
+async function loadCustomerProfile(contactId) {
+  const container = document.getElementById('customer-profile');
+  const requestTenantId = window.tenantId;
+  document.getElementById('customer-name').textContent = '';
+  container.innerHTML = `
+    <div class="loading-indicator">
+      <div class="spinner"></div>
+      <p>Loading customer...</p>
+    </div>
+  `;
+
+  try {
+    const [contact, invoices] = await Promise.all([
+      fetchCustomerContact(contactId),
+      customerOptions.loadInvoices(contactId)
+    ]);
+    if (!contact) throw new Error('Contact not found in Xero');
+
+    const accountKeys = customerAccountKeys(contact);
+    const [notes, reminders] = await Promise.all([
+      fetchCustomerHistory('notes', accountKeys),
+      fetchCustomerHistory('reminders', accountKeys)
+    ]);
+    // The user may have moved on to another customer or organisation meanwhile
+    if (customerContactId !== contactId || requestTenantId !== window.tenantId) return;
+
+    invoices.sort((a, b) => (customerOptions.parseDate(b.DateString || b.Date) || 0) - (customerOptions.parseDate(a.DateString || a.Date) || 0));
+    document.getElementById('customer-name').textContent = contact.Name;
+    container.innerHTML = `
+      <div class="customer-overview">
+        ${renderCustomerContact(contact)}
+        ${renderCustomerSummary(summariseCustomerInvoices(invoices))}
+      </div>
+
+      <h3>Invoices (${invoices.length})</h3>
+      ${renderCustomerInvoices(invoices)}
+
+      <div class="customer-history">
+        <div>
+          <h3>Notes (${notes.length})</h3>
+          ${renderCustomerNotes(notes)}
+        </div>
+        <div>
+          <h3>Reminders (${reminders.length})</h3>
+          ${renderCustomerReminders(reminders)}
+        </div>
+      </div>
+    `;
+
+    container.querySelectorAll('.customer-invoice-table tbody tr').forEach(row => {
+      row.addEventListener('click', () => openInvoiceFromCustomer(row.dataset.id));
+    });
+    container.querySelectorAll('.customer-open-invoice').forEach(button => {
+      button.addEventListener('click', () => openInvoiceFromCustomer(button.dataset.id));
+    });
+  } catch (error) {
+    console.error('Error loading customer profile:', error);
+    if (customerContactId === contactId) {
+      container.innerHTML = '<div class="error-message">Failed to load the customer. Please try again.</div>';
+    }
+  }
+}
+
+/**
+ * Shows the customer page for a Xero contact over the current view.
+ * @param {string} contactId - Xero ContactID.
+ */
+function openCustomerProfile(contactId) {
+  if (!contactId) return;
+
+  const visibleSection = CUSTOMER_RETURN_SECTIONS.find(id => !document.getElementById(id)?.classList.contains('hidden'));
+  // Keep the original view when going from one customer's invoice to another customer
+  if (!customerOpenedInvoice || !customerReturnSection) customerReturnSection = visibleSection || 'results-section';
+  customerOpenedInvoice = false;
+  customerContactId = contactId;
+
+  CUSTOMER_RETURN_SECTIONS.forEach(id => document.getElementById(id)?.classList.add('hidden'));
+  document.getElementById('search-section').classList.add('board-mode');
+  document.getElementById('customer-section').classList.remove('hidden');
+  window.scrollTo({ top: 0 });
+  loadCustomerProfile(contactId);
+}
+
+function closeCustomerProfile() {
+  customerContactId = null;
+  customerOpenedInvoice = false;
+  document.getElementById('customer-section').classList.add('hidden');
+  // The board and dashboard hide the search box too
+  if (customerReturnSection !== 'board-section' && customerReturnSection !== 'dashboard-section') {
+    document.getElementById('search-section').classList.remove('board-mode');
+  }
+  document.getElementById(customerReturnSection || 'results-section').classList.remove('hidden');
+}
+
+// Leave the customer page without going back (another view or organisation is being shown)
+function hideCustomerProfile() {
+  customerContactId = null;
+  customerOpenedInvoice = false;
+  document.getElementById('customer-section').classList.add('hidden');
+}
+
+/**
+ * Called by the detail view's Back button: returns to the customer page if the invoice was
+ * opened from it.
+ * @returns {boolean} true if the customer page is shown again.
+ */
+function returnToCustomerProfile() {
+  if (!customerOpenedInvoice || !customerContactId) return false;
+  customerOpenedInvoice = false;
+  document.getElementById('detail-section').classList.add('hidden');
+  document.getElementById('customer-section').classList.remove('hidden');
+  return true;
+}
+
+// Turn customer names in list items into links to the customer page; cached list HTML loses the
+// listeners, so this runs again when a cached page is restored
+function annotateCustomerLinks(container) {
+  container.querySelectorAll('.customer-link[data-contact-id]').forEach(link => {
+    link.addEventListener('click', event => {
+      event.stopPropagation(); // Don't open the invoice as well
+      openCustomerProfile(link.dataset.contactId);
+    });
+  });
+}
+
+/**
+ * Binds the customer page.
+ * @param {object} options
+ * @param {function} options.loadInvoices - Resolves to every invoice for a ContactID.
+ * @param {function} options.parseDate - Parses a Xero date value to a Date (or null).
+ * @param {function} options.onOpenInvoice - Shows the invoice detail view for an InvoiceID.
+ */
+function initCustomerProfile(options) {
+  customerOptions = options;
+  document.getElementById('customer-back-btn')?.addEventListener('click', closeCustomerProfile);
+}
+
+// Export functions for use in the main application
+window.customerProfile = {
+  init: initCustomerProfile,
+  open: openCustomerProfile,
+  close: closeCustomerProfile,
+  hide: hideCustomerProfile,
+  returnFromInvoice: returnToCustomerProfile,
+  annotate: annotateCustomerLinks,
+  isOpen: () => customerContactId !== null
+};
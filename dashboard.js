@@ -0,0 +1,286 @@
+console.log('Ageing dashboard module loading...');
+
+// Accounts receivable ageing: what each customer still owes on approved invoices, bucketed by
+// days past the due date (the Monday summary). Amounts are converted to the organisation's base
+// currency with the invoice's CurrencyRate. Clicking an amount lists the invoices behind it.
+
+const AGEING_BUCKETS = [
+  { value: 'current', label: 'Current', maxDays: 0 },
+  { value: '1-30', label: '1-30 days', maxDays: 30 },
+  { value: '31-60', label: '31-60 days', maxDays: 60 },
+  { value: '61-90', label: '61-90 days', maxDays: 90 },
+  { value: '90+', label: '90+ days', maxDays: Infinity }
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dashboardActive = false;
+let dashboardCustomers = [];
+let dashboardTotals = null;
+let dashboardAsAt = null;
+let dashboardExpanded = null; // { contactKey, bucket } of the drill-down shown
+let dashboardOptions = {};
+
+function formatAgeingAmount(amount) {
+  return amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function emptyBuckets() {
+  const buckets = { total: 0 };
+  AGEING_BUCKETS.forEach(bucket => { buckets[bucket.value] = 0; });
+  return buckets;
+}
+
+// Calendar days past the due date (0 or less = not yet overdue)
+function daysPastDue(invoice, today) {
+  const dueDate = dashboardOptions.parseDate(invoice.DueDateString || invoice.DueDate);
+  if (!dueDate) return 0;
+  const due = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate());
+  return Math.round((today - due) / DAY_MS);
+}
+
+function ageingBucketFor(days) {
+  return AGEING_BUCKETS.find(bucket => days <= bucket.maxDays).value;
+}
+
+/**
+ * Buckets outstanding invoices by customer.
+ * @param {Array<object>} invoices - Approved (AUTHORISED) Xero invoices.
+ * @param {Date} asAt - Day the ageing is worked out for.
+ * @returns {{customers: Array<object>, totals: object}} Customers (largest balance first) with
+ *          their bucket totals and invoices, and the totals across all customers.
+ */
+function buildAgeing(invoices, asAt) {
+  const today = new Date(asAt.getFullYear(), asAt.getMonth(), asAt.getDate());
+  const customersByKey = new Map();
+  const totals = emptyBuckets();
+
+  invoices.forEach(invoice => {
+    const amountDue = Number(invoice.AmountDue || 0);
+    if (invoice.Status !== 'AUTHORISED' || amountDue <= 0) return;
+
+    // CurrencyRate is foreign units per base unit (1 for base currency invoices)
+    const amount = amountDue / (Number(invoice.CurrencyRate) || 1);
+    const days = daysPastDue(invoice, today);
+    const bucket = ageingBucketFor(days);
+
+    const contactKey = invoice.Contact?.ContactID || invoice.Contact?.Name || 'unknown';
+    if (!customersByKey.has(contactKey)) {
+      customersByKey.set(contactKey, {
+        contactKey,
+        name: invoice.Contact?.Name || 'Unknown customer',
+        buckets: emptyBuckets(),
+        invoices: []
+      });
+    }
+
+    const customer = customersByKey.get(contactKey);
+    customer.buckets[bucket] += amount;
+    customer.buckets.total += amount;
+    customer.invoices.push({ invoice, amount, days, bucket });
+    totals[bucket] += amount;
+    totals.total += amount;
+  });
+
+  const customers = Array.from(customersByKey.values())
+    .sort((a, b) => b.buckets.total - a.buckets.total || a.name.localeCompare(b.name));
+  customers.forEach(customer => customer.invoices.sort((a, b) => b.days - a.days));
+  return { customers, totals };
+}
+
+function createDrillDownRow(customer, bucket) {
+  const row = document.createElement('tr');
+  row.className = 'ageing-drilldown';
+
+  const entries = customer.invoices.filter(entry => !bucket || entry.bucket === bucket);
+  const cell = document.createElement('td');
+  cell.colSpan = AGEING_BUCKETS.length + 2;
+  cell.innerHTML = `
+    <ul>
+      ${entries.map(({ invoice, amount, days }) => `
+        <li>
+          <button type="button" class="link-button" data-id="${invoice.InvoiceID}">#${invoice.InvoiceNumber || 'N/A'}</button>
+          <span>${dashboardOptions.formatDate(invoice.DueDateString || invoice.DueDate)}</span>
+          <span class="item-date">${days > 0 ? `${days} days overdue` : 'not yet due'}</span>
+          <span class="ageing-amount">${invoice.CurrencyCode && Number(invoice.CurrencyRate || 1) !== 1 ? `${invoice.CurrencyCode} ${formatAgeingAmount(Number(invoice.AmountDue))} = ` : ''}${formatAgeingAmount(amount)}</span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+  cell.querySelectorAll('.link-button').forEach(button => {
+    button.addEventListener('click', () => {
+      hideDashboardSection();
+      dashboardOptions.onOpenInvoice(button.dataset.id);
+    });
+  });
+
+  row.appendChild(cell);
+  return row;
+}
+
+function toggleDrillDown(contactKey, bucket) {
+  const same = dashboardExpanded && dashboardExpanded.contactKey === contactKey && dashboardExpanded.bucket === bucket;
+  dashboardExpanded = same ? null : { contactKey, bucket };
+  renderDashboard();
+}
+
+function renderDashboard() {
+  const container = document.getElementById('ageing-dashboard');
+  if (!container || !dashboardTotals) return;
+
+  document.getElementById('dashboard-as-at').textContent = `as at ${dashboardAsAt.toLocaleDateString()}`;
+
+  if (dashboardCustomers.length === 0) {
+    container.innerHTML = '<div class="empty-state"><p>Nothing outstanding - every approved invoice is paid.</p></div>';
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'ageing-table';
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>Customer</th>
+        ${AGEING_BUCKETS.map(bucket => `<th class="ageing-amount">${bucket.label}</th>`).join('')}
+        <th class="ageing-amount">Total</th>
+      </tr>
+    </thead>
+    <tbody></tbody>
+    <tfoot>
+      <tr>
+        <th>Total (${dashboardCustomers.length} customers)</th>
+        ${AGEING_BUCKETS.map(bucket => `<th class="ageing-amount">${formatAgeingAmount(dashboardTotals[bucket.value])}</th>`).join('')}
+        <th class="ageing-amount">${formatAgeingAmount(dashboardTotals.total)}</th>
+      </tr>
+    </tfoot>
+  `;
+
+  const body = table.querySelector('tbody');
+  dashboardCustomers.forEach(customer => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td><button type="button" class="link-button" data-bucket="">${customer.name}</button></td>
+      ${AGEING_BUCKETS.map(bucket => `
+        <td class="ageing-amount ageing-${bucket.value}">
+          ${customer.buckets[bucket.value] > 0
+            ? `<button type="button" class="link-button" data-bucket="${bucket.value}">${formatAgeingAmount(customer.buckets[bucket.value])}</button>`
+            : ''}
+        </td>
+      `).join('')}
+      <td class="ageing-amount"><strong>${formatAgeingAmount(customer.buckets.total)}</strong></td>
+    `;
+    row.querySelectorAll('.link-button').forEach(button => {
+      button.addEventListener('click', () => toggleDrillDown(customer.contactKey, button.dataset.bucket || null));
+    });
+    body.appendChild(row);
+
+    if (dashboardExpanded && dashboardExpanded.contactKey === customer.contactKey) {
+      body.appendChild(createDrillDownRow(customer, dashboardExpanded.bucket));
+    }
+  });
+
+  container.innerHTML = '';
+  container.appendChild(table);
+}
+
+// The table as CSV, for pasting into the weekly report
+function exportDashboardCsv() {
+  if (!dashboardTotals) return;
+
+  const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+  const header = ['Customer', ...AGEING_BUCKETS.map(bucket => bucket.label), 'Total'];
+  const toRow = (name, buckets) => [
+    quote(name),
+    ...AGEING_BUCKETS.map(bucket => buckets[bucket.value].toFixed(2)),
+    buckets.total.toFixed(2)
+  ].join(',');
+  const lines = [
+    header.map(quote).join(','),
+    ...dashboardCustomers.map(customer => toRow(customer.name, customer.buckets)),
+    toRow('Total', dashboardTotals)
+  ];
+
+  const blob = new Blob([lines.join('\r\n')], { type: 'text/csv' });
+  saveBlob(blob, `aged-receivables-${dashboardAsAt.toLocaleDateString('en-CA')}.csv`);
+}
+
+// Reload the outstanding invoices for the active organisation
+async function refreshDashboard() {
+  const container = document.getElementById('ageing-dashboard');
+  const requestTenantId = window.tenantId;
+  container.innerHTML = `
+    <div class="loading-indicator">
+      <div class="spinner"></div>
+      <p>Loading outstanding invoices...</p>
+    </div>
+  `;
+
+  try {
+    const invoices = await dashboardOptions.loadOutstanding();
+    if (requestTenantId !== window.tenantId || !dashboardActive) return;
+    dashboardAsAt = new Date();
+    ({ customers: dashboardCustomers, totals: dashboardTotals } = buildAgeing(invoices, dashboardAsAt));
+    dashboardExpanded = null;
+    renderDashboard();
+  } catch (error) {
+    console.error('Error loading the ageing dashboard:', error);
+    container.innerHTML = '<div class="error-message">Failed to load outstanding invoices. Please try again.</div>';
+  }
+}
+
+function showDashboardSection() {
+  document.getElementById('results-section').classList.add('hidden');
+  document.getElementById('detail-section').classList.add('hidden');
+  document.getElementById('board-section').classList.add('hidden');
+  document.getElementById('dashboard-section').classList.remove('hidden');
+  document.getElementById('search-section').classList.add('board-mode');
+}
+
+function hideDashboardSection() {
+  document.getElementById('dashboard-section').classList.add('hidden');
+  document.getElementById('search-section').classList.remove('board-mode');
+}
+
+// Leave the dashboard (the list or board is being shown instead)
+function hideDashboard() {
+  dashboardActive = false;
+  document.getElementById('view-dashboard-btn')?.classList.remove('active');
+  hideDashboardSection();
+}
+
+async function showDashboard() {
+  if (window.jobBoard.isActive()) await window.jobBoard.setView('list');
+  window.customerProfile.hide();
+  window.remindersInbox.hide();
+  dashboardActive = true;
+  document.getElementById('view-list-btn').classList.remove('active');
+  document.getElementById('view-dashboard-btn').classList.add('active');
+  showDashboardSection();
+  await refreshDashboard();
+}
+
+/**
+ * Binds the dashboard controls.
+ * @param {object} options
+ * @param {function} options.loadOutstanding - Resolves to the organisation's approved invoices with an amount due.
+ * @param {function} options.parseDate - Parses a Xero date value to a Date (or null).
+ * @param {function} options.formatDate - Formats a Xero date value for display.
+ * @param {function} options.onOpenInvoice - Shows the invoice detail view for an InvoiceID.
+ */
+function initDashboard(options) {
+  dashboardOptions = options;
+
+  document.getElementById('view-dashboard-btn')?.addEventListener('click', showDashboard);
+  document.getElementById('dashboard-refresh-btn')?.addEventListener('click', refreshDashboard);
+  document.getElementById('dashboard-export-btn')?.addEventListener('click', exportDashboardCsv);
+}
+
+// Export functions for use in the main application
+window.arDashboard = {
+  init: initDashboard,
+  show: showDashboard,
+  hide: hideDashboard,
+  refresh: refreshDashboard,
+  showSection: showDashboardSection,
+  isActive: () => dashboardActive,
+  buildAgeing
+};
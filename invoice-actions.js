@@ -0,0 +1,270 @@
+console.log('Invoice actions module loading...');
+
+// Changes to the invoice from the detail view (netlify/functions/invoice-actions.js): edit the
+// reference, add a line item, mark as sent, delete a draft, record a payment. Each asks for confirmation
+// first, and Xero's validation errors are listed under the actions when it rejects a change.
+
+const INVOICE_EDITABLE_STATUSES = ['DRAFT', 'SUBMITTED', 'AUTHORISED'];
+
+let invoiceActionsInvoice = null;
+let invoiceActionsOnUpdated = null;
+// Accounts payments can go into, per organisation (the chart of accounts rarely changes)
+const paymentAccountsByTenant = new Map();
+
+function invoiceHasPayments(invoice) {
+  return Number(invoice.AmountPaid || 0) > 0 || Number(invoice.AmountCredited || 0) > 0;
+}
+
+function showInvoiceActionErrors(messages) {
+  const errorList = document.getElementById('invoice-action-errors');
+  if (!errorList) return;
+
+  if (!messages || messages.length === 0) {
+    errorList.innerHTML = '';
+    errorList.classList.add('hidden');
+    return;
+  }
+
+  errorList.innerHTML = `
+    <strong>Xero didn't accept the change:</strong>
+    <ul>${messages.map(message => `<li>${message}</li>`).join('')}</ul>
+  `;
+  errorList.classList.remove('hidden');
+}
+
+/**
+ * Runs an invoice action on the server.
+ * @param {object} invoice - Xero invoice.
+ * @param {object} body - { action, ...action fields }.
+ * @returns {Promise<{invoice: object, completedReminders: number}>} The invoice as Xero has it
+ *          after the change, and how many of its reminders were completed (payments only).
+ */
+async function runInvoiceAction(invoice, body) {
+  const response = await fetch(`/api/invoice-actions/${encodeURIComponent(invoice.InvoiceID)}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Xero-Tenant-Id': window.tenantId || ''
+    },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.message || `Failed to update the invoice: ${response.status}`);
+    error.validationErrors = data.validationErrors || [];
+    throw error;
+  }
+  return data;
+}
+
+// Confirm, run, and report an action; the detail view is reloaded on success.
+// successMessage can be a function of the action's result.
+async function confirmInvoiceAction(confirmMessage, body, successMessage) {
+  const invoice = invoiceActionsInvoice;
+  if (!invoice || !confirm(confirmMessage)) return;
+
+  showInvoiceActionErrors([]);
+  const buttons = document.querySelectorAll('#invoice-actions-panel button');
+  buttons.forEach(button => { button.disabled = true; });
+
+  try {
+    const result = await runInvoiceAction(invoice, body);
+    showMessage(typeof successMessage === 'function' ? successMessage(result) : successMessage);
+    if (typeof invoiceActionsOnUpdated === 'function') invoiceActionsOnUpdated(result.invoice);
+  } catch (error) {
+    console.error(`Error running invoice action ${body.action}:`, error);
+    // Network failures and server errors have no validation errors
+    if (error.validationErrors?.length > 0) {
+      showInvoiceActionErrors(error.validationErrors);
+    } else {
+      showInvoiceActionErrors([error.message]);
+    }
+  } finally {
+    buttons.forEach(button => { button.disabled = false; });
+  }
+}
+
+// Bank accounts (and other accounts that accept payments) from Xero's chart of accounts
+async function fetchPaymentAccounts() {
+  const tenantId = window.tenantId;
+  if (paymentAccountsByTenant.has(tenantId)) return paymentAccountsByTenant.get(tenantId);
+
+  const response = await xeroApiFetch('/api/xero-api/Accounts');
+  if (!response.ok) {
+    throw new Error(`Failed to load accounts: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const accounts = (data.Accounts || [])
+    .filter(account => account.Status === 'ACTIVE' && (account.Type === 'BANK' || account.EnablePaymentsToAccount))
+    .sort((a, b) => (a.Type === 'BANK' ? 0 : 1) - (b.Type === 'BANK' ? 0 : 1) || a.Name.localeCompare(b.Name));
+  paymentAccountsByTenant.set(tenantId, accounts);
+  return accounts;
+}
+
+async function fillPaymentAccounts(select) {
+  try {
+    const accounts = await fetchPaymentAccounts();
+    if (accounts.length === 0) {
+      select.innerHTML = '<option value="">No bank accounts in Xero</option>';
+      return;
+    }
+
+    // Default to the account used last time
+    const lastAccountId = localStorage.getItem(`payment_account_${window.tenantId}`);
+    select.innerHTML = accounts.map(account => `
+      <option value="${account.AccountID}" ${account.AccountID === lastAccountId ? 'selected' : ''}>
+        ${account.Name}${account.Code ? ` (${account.Code})` : ''}
+      </option>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading payment accounts:', error);
+    select.innerHTML = '<option value="">Failed to load bank accounts</option>';
+  }
+}
+
+function renderInvoiceActions(invoice) {
+  const panel = document.getElementById('invoice-actions-panel');
+  if (!panel) return;
+
+  const editable = INVOICE_EDITABLE_STATUSES.includes(invoice.Status);
+  const canAddLine = editable && !invoiceHasPayments(invoice);
+  const canMarkSent = invoice.Status === 'AUTHORISED' && !invoice.SentToContact;
+  // Only drafts - voiding an approved invoice can't be undone, so that stays in Xero
+  const canVoid = invoice.Status === 'DRAFT' || invoice.Status === 'SUBMITTED';
+  const amountDue = Number(invoice.AmountDue || 0);
+  const canRecordPayment = invoice.Status === 'AUTHORISED' && amountDue > 0;
+
+  if (!editable) {
+    panel.innerHTML = `<span class="item-date">${invoice.Status === 'PAID' ? 'Paid' : 'Voided or deleted'} invoices can't be changed here.</span>`;
+    return;
+  }
+
+  panel.innerHTML = `
+    <form id="edit-reference-form" class="invoice-action-form">
+      <label for="invoice-reference-input">Reference:</label>
+      <input type="text" id="invoice-reference-input" maxlength="255" value="${(invoice.Reference || '').replace(/"/g, '&quot;')}">
+      <button type="submit" class="btn secondary">Save reference</button>
+    </form>
+
+    ${canAddLine ? `
+      <form id="add-line-item-form" class="invoice-action-form">
+        <label>Add line item:</label>
+        <input type="text" id="line-item-description" placeholder="Description" required>
+        <input type="number" id="line-item-quantity" placeholder="Qty" min="0.0001" step="any" value="1" required>
+        <input type="number" id="line-item-unit-amount" placeholder="Unit price" step="0.01" required>
+        <input type="text" id="line-item-account-code" placeholder="Account code (optional)">
+        <button type="submit" class="btn secondary">Add line</button>
+      </form>
+    ` : ''}
+
+    ${canRecordPayment ? `
+      <form id="record-payment-form" class="invoice-action-form">
+        <label>Record payment:</label>
+        <input type="number" id="payment-amount" step="0.01" min="0.01" max="${amountDue.toFixed(2)}" value="${amountDue.toFixed(2)}" title="Amount" required>
+        <input type="date" id="payment-date" value="${new Date().toLocaleDateString('en-CA')}" title="Date paid" required>
+        <select id="payment-account" title="Paid into" required>
+          <option value="">Loading bank accounts...</option>
+        </select>
+        <input type="text" id="payment-reference" placeholder="Reference (optional)">
+        <button type="submit" class="btn secondary">Record payment</button>
+      </form>
+    ` : ''}
+
+    <div class="form-actions">
+      ${canMarkSent ? '<button type="button" id="mark-sent-btn" class="btn secondary">Mark as sent</button>' : ''}
+      ${invoice.SentToContact ? '<span class="item-date">Marked as sent</span>' : ''}
+      ${canVoid ? '<button type="button" id="void-invoice-btn" class="btn danger">Delete draft</button>' : ''}
+    </div>
+
+    <div id="invoice-action-errors" class="error-message hidden"></div>
+  `;
+
+  panel.querySelector('#edit-reference-form').addEventListener('submit', event => {
+    event.preventDefault();
+    const reference = document.getElementById('invoice-reference-input').value.trim();
+    if (reference === (invoice.Reference || '')) return;
+    confirmInvoiceAction(
+      `Change the reference of #${invoice.InvoiceNumber} in Xero to "${reference}"?`,
+      { action: 'update-reference', reference },
+      'Reference updated in Xero'
+    );
+  });
+
+  panel.querySelector('#add-line-item-form')?.addEventListener('submit', event => {
+    event.preventDefault();
+    const lineItem = {
+      description: document.getElementById('line-item-description').value.trim(),
+      quantity: Number(document.getElementById('line-item-quantity').value),
+      unitAmount: Number(document.getElementById('line-item-unit-amount').value),
+      accountCode: document.getElementById('line-item-account-code').value.trim() || undefined
+    };
+    const lineTotal = (lineItem.quantity * lineItem.unitAmount).toFixed(2);
+    confirmInvoiceAction(
+      `Add "${lineItem.description}" (${lineItem.quantity} x ${lineItem.unitAmount.toFixed(2)} = ${lineTotal}) to #${invoice.InvoiceNumber} in Xero?`,
+      { action: 'add-line-item', lineItem },
+      'Line item added in Xero'
+    );
+  });
+
+  const paymentForm = panel.querySelector('#record-payment-form');
+  if (paymentForm) {
+    const accountSelect = paymentForm.querySelector('#payment-account');
+    fillPaymentAccounts(accountSelect);
+
+    paymentForm.addEventListener('submit', event => {
+      event.preventDefault();
+      const payment = {
+        amount: Number(document.getElementById('payment-amount').value),
+        date: document.getElementById('payment-date').value,
+        accountId: accountSelect.value,
+        reference: document.getElementById('payment-reference').value.trim()
+      };
+      if (!payment.accountId) {
+        showInvoiceActionErrors(['Choose the bank account the payment went into.']);
+        return;
+      }
+      localStorage.setItem(`payment_account_${window.tenantId}`, payment.accountId);
+
+      const accountName = accountSelect.options[accountSelect.selectedIndex].textContent.trim();
+      confirmInvoiceAction(
+        `Record a payment of ${invoice.CurrencyCode || ''} ${payment.amount.toFixed(2)} on ${payment.date} into ${accountName} against #${invoice.InvoiceNumber}?`,
+        { action: 'record-payment', payment },
+        result => result.completedReminders > 0
+          ? `Payment recorded - invoice paid, ${result.completedReminders} reminder${result.completedReminders === 1 ? '' : 's'} completed`
+          : 'Payment recorded in Xero'
+      );
+    });
+  }
+
+  panel.querySelector('#mark-sent-btn')?.addEventListener('click', () => confirmInvoiceAction(
+    `Mark #${invoice.InvoiceNumber} as sent to ${invoice.Contact?.Name || 'the customer'} in Xero?`,
+    { action: 'mark-sent' },
+    'Invoice marked as sent'
+  ));
+
+  panel.querySelector('#void-invoice-btn')?.addEventListener('click', () => confirmInvoiceAction(
+    `Delete draft #${invoice.InvoiceNumber} in Xero? This can't be undone.`,
+    { action: 'void' },
+    'Draft deleted in Xero'
+  ));
+}
+
+/**
+ * Shows the actions for an invoice in the Invoice Details tab.
+ * @param {object} invoice - Xero invoice.
+ * @param {object} [options]
+ * @param {function} [options.onUpdated] - Called with the updated invoice after a change is saved.
+ */
+function initInvoiceActions(invoice, options = {}) {
+  invoiceActionsInvoice = invoice;
+  invoiceActionsOnUpdated = options.onUpdated || null;
+  renderInvoiceActions(invoice);
+}
+
+// Export functions for use in the main application
+window.invoiceActions = {
+  init: initInvoiceActions,
+  run: runInvoiceAction
+};
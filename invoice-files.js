@@ -0,0 +1,305 @@
+console.log('Invoice files module loading...');
+
+// Files tab: upload prescription scans and shade photos for an invoice (drag and drop, file picker
+// or the phone's camera). Files are stored by netlify/functions/invoice-files.js in Firebase Storage
+// and can be attached to the invoice in Xero too. Scans filed as "Lab form" also show in the Lab Form tab.
+
+const INVOICE_FILE_MAX_BYTES = 4 * 1024 * 1024;
+// Photos bigger than the limit are scaled down to this many pixels on the long side
+const INVOICE_FILE_MAX_IMAGE_SIDE = 2400;
+const INVOICE_FILE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/tiff', 'application/pdf'];
+const INVOICE_FILE_PREVIEW_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const INVOICE_FILE_KINDS = { 'lab-form': 'Lab form', photo: 'Shade photo', other: 'Other' };
+
+let invoiceFiles = [];
+let invoiceFilesInvoice = null;
+
+function invoiceFilesHeaders() {
+  return {
+    'Content-Type': 'application/json',
+    'Xero-Tenant-Id': window.tenantId || ''
+  };
+}
+
+function formatInvoiceFileSize(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Fetch the files uploaded for the invoice shown in the detail view
+async function fetchInvoiceFiles() {
+  if (!invoiceFilesInvoice) return;
+  const invoiceId = invoiceFilesInvoice.InvoiceID;
+
+  try {
+    const response = await fetch(`/api/invoice-files?invoiceId=${encodeURIComponent(invoiceId)}`, {
+      headers: invoiceFilesHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch files: ${response.status}`);
+    }
+
+    const data = await response.json();
+    // The user may have opened another invoice meanwhile
+    if (invoiceFilesInvoice?.InvoiceID !== invoiceId) return;
+    invoiceFiles = data.files || [];
+    displayInvoiceFiles();
+  } catch (error) {
+    console.error('Error fetching invoice files:', error);
+    showError('invoice-file-list', 'Failed to load files. Please try again.');
+  }
+}
+
+function displayInvoiceFiles() {
+  const fileList = document.getElementById('invoice-file-list');
+
+  if (!fileList) {
+    console.error('Invoice file list element not found');
+    return;
+  }
+
+  if (invoiceFiles.length === 0) {
+    fileList.innerHTML = `
+      <div class="empty-state">
+        <p>No files uploaded for this invoice yet.</p>
+        <p>Drop a prescription scan or shade photo below, or take a photo.</p>
+      </div>
+    `;
+    return;
+  }
+
+  fileList.innerHTML = '';
+  invoiceFiles.forEach(file => {
+    const card = document.createElement('div');
+    card.className = 'item-card invoice-file-card';
+    card.dataset.id = file.id;
+
+    const xeroStatus = file.xeroAttachmentId
+      ? '<span class="invoice-file-xero attached" title="Attached to the invoice in Xero">In Xero</span>'
+      : `<button class="item-action-btn push-xero" title="Attach to the invoice in Xero">📎</button>`;
+
+    card.innerHTML = `
+      <div class="item-header">
+        <div>
+          <strong>${file.fileName}</strong>
+          <span class="item-date">${INVOICE_FILE_KINDS[file.kind] || 'Other'} - ${formatInvoiceFileSize(file.size)}${file.uploadedAt ? ` - ${new Date(file.uploadedAt).toLocaleString()}` : ''}</span>
+        </div>
+        <div class="item-actions">
+          ${xeroStatus}
+          <a class="item-action-btn" href="${file.url}" target="_blank" rel="noopener noreferrer" title="Open in a new tab">🔗</a>
+          <button class="item-action-btn delete" title="Remove file">🗑️</button>
+        </div>
+      </div>
+      ${file.xeroError ? `<div class="tracking-warning">${file.xeroError}</div>` : ''}
+      ${INVOICE_FILE_PREVIEW_TYPES.includes(file.contentType) ? `<img class="invoice-file-thumbnail" src="${file.url}" alt="${file.fileName}" loading="lazy">` : ''}
+    `;
+
+    card.querySelector('.push-xero')?.addEventListener('click', () => pushInvoiceFileToXero(file));
+    card.querySelector('.delete').addEventListener('click', () => removeInvoiceFile(file));
+
+    fileList.appendChild(card);
+  });
+}
+
+function readFileAsBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(',')[1]);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Phone photos are often over the upload limit - re-encode them as a smaller JPEG
+async function shrinkImage(file) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, INVOICE_FILE_MAX_IMAGE_SIDE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+  if (!blob) throw new Error(`Could not resize ${file.name}`);
+  return { blob, fileName: file.name.replace(/\.[^.]+$/, '') + '.jpg', contentType: 'image/jpeg' };
+}
+
+/**
+ * Uploads one file.
+ * @param {File} file
+ * @param {object} target - { invoiceId, invoiceNumber, kind, pushToXero }, read once per batch of files.
+ * @returns {Promise<object>} The saved file.
+ */
+async function uploadInvoiceFile(file, target) {
+  if (!INVOICE_FILE_TYPES.includes(file.type)) {
+    throw new Error(`${file.name}: only images and PDFs can be uploaded`);
+  }
+
+  let upload = { blob: file, fileName: file.name, contentType: file.type };
+  if (file.size > INVOICE_FILE_MAX_BYTES) {
+    if (!INVOICE_FILE_PREVIEW_TYPES.includes(file.type)) {
+      throw new Error(`${file.name} is larger than ${INVOICE_FILE_MAX_BYTES / (1024 * 1024)}MB`);
+    }
+    upload = await shrinkImage(file);
+  }
+
+  const response = await fetch('/api/invoice-files', {
+    method: 'POST',
+    headers: invoiceFilesHeaders(),
+    body: JSON.stringify({
+      invoiceId: target.invoiceId,
+      invoiceNumber: target.invoiceNumber,
+      fileName: upload.fileName,
+      contentType: upload.contentType,
+      kind: target.kind,
+      pushToXero: target.pushToXero,
+      data: await readFileAsBase64(upload.blob)
+    })
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.message || `Failed to upload ${file.name}: ${response.status}`);
+  }
+  return data.file;
+}
+
+// Upload dropped or picked files one after another
+async function uploadInvoiceFiles(fileList) {
+  const files = Array.from(fileList || []);
+  if (files.length === 0 || !invoiceFilesInvoice) return;
+
+  // The user may open another invoice or change the options while the files upload
+  const target = {
+    invoiceId: invoiceFilesInvoice.InvoiceID,
+    invoiceNumber: invoiceFilesInvoice.InvoiceNumber,
+    kind: document.getElementById('invoice-file-kind').value,
+    pushToXero: document.getElementById('invoice-file-push-xero').checked
+  };
+  const dropZone = document.getElementById('invoice-file-drop-zone');
+  dropZone.classList.add('uploading');
+
+  let uploaded = 0;
+  for (const file of files) {
+    try {
+      const savedFile = await uploadInvoiceFile(file, target);
+      uploaded++;
+      if (invoiceFilesInvoice?.InvoiceID !== target.invoiceId) continue;
+      invoiceFiles.unshift(savedFile);
+      displayInvoiceFiles();
+      if (savedFile.xeroError) showMessage(`${savedFile.fileName} was saved, but not attached in Xero: ${savedFile.xeroError}`, 'warning');
+    } catch (error) {
+      console.error('Error uploading file:', error);
+      showMessage(error.message, 'error');
+    }
+  }
+
+  dropZone.classList.remove('uploading');
+  if (uploaded > 0) showMessage(`${uploaded} file${uploaded === 1 ? '' : 's'} uploaded`);
+  // Show new scans in the Lab Form tab
+  if (uploaded > 0 && target.kind === 'lab-form' && invoiceFilesInvoice?.InvoiceID === target.invoiceId) window.labForms.refresh();
+}
+
+// Camera captures are all called image.jpg - give them a name that says what they are
+function nameCameraCapture(file) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:T]/g, '');
+  const extension = file.type === 'image/png' ? 'png' : 'jpg';
+  return new File([file], `${invoiceFilesInvoice.InvoiceNumber || 'photo'}-${stamp}.${extension}`, { type: file.type });
+}
+
+async function pushInvoiceFileToXero(file) {
+  try {
+    const response = await fetch(`/api/invoice-files/${encodeURIComponent(file.id)}/xero`, {
+      method: 'POST',
+      headers: invoiceFilesHeaders()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `Failed to attach file: ${response.status}`);
+    }
+
+    invoiceFiles = invoiceFiles.map(existing => existing.id === file.id ? data.file : existing);
+    displayInvoiceFiles();
+    if (data.file.xeroError) {
+      showMessage(data.file.xeroError, 'error');
+    } else {
+      showMessage(`${file.fileName} attached to the invoice in Xero`);
+    }
+  } catch (error) {
+    console.error('Error attaching file in Xero:', error);
+    showMessage(error.message, 'error');
+  }
+}
+
+async function removeInvoiceFile(file) {
+  const message = file.xeroAttachmentId
+    ? `Remove ${file.fileName}? The copy attached in Xero will stay there.`
+    : `Remove ${file.fileName}?`;
+  if (!confirm(message)) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/invoice-files/${encodeURIComponent(file.id)}`, {
+      method: 'DELETE',
+      headers: invoiceFilesHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to remove file: ${response.status}`);
+    }
+
+    invoiceFiles = invoiceFiles.filter(existing => existing.id !== file.id);
+    displayInvoiceFiles();
+    if (file.kind === 'lab-form') window.labForms.refresh();
+    showMessage('File removed');
+  } catch (error) {
+    console.error('Error removing file:', error);
+    showError('invoice-file-list', 'Failed to remove the file. Please try again.');
+  }
+}
+
+function bindInvoiceFileInputs() {
+  const dropZone = document.getElementById('invoice-file-drop-zone');
+  const fileInput = document.getElementById('invoice-file-input');
+  const cameraInput = document.getElementById('invoice-file-camera');
+  if (!dropZone || !fileInput || !cameraInput) return;
+
+  dropZone.addEventListener('dragover', event => {
+    event.preventDefault();
+    dropZone.classList.add('drag-over');
+  });
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+  dropZone.addEventListener('drop', event => {
+    event.preventDefault();
+    dropZone.classList.remove('drag-over');
+    uploadInvoiceFiles(event.dataTransfer.files);
+  });
+
+  fileInput.addEventListener('change', async () => {
+    await uploadInvoiceFiles(fileInput.files);
+    fileInput.value = '';
+  });
+  cameraInput.addEventListener('change', async () => {
+    await uploadInvoiceFiles(Array.from(cameraInput.files).map(nameCameraCapture));
+    cameraInput.value = '';
+  });
+}
+
+/**
+ * Shows the uploaded files of an invoice in the detail view's Files tab.
+ * @param {object} invoice - Xero invoice.
+ */
+function initInvoiceFiles(invoice) {
+  invoiceFilesInvoice = invoice;
+  invoiceFiles = [];
+  fetchInvoiceFiles();
+  bindInvoiceFileInputs();
+}
+
+// Export functions for use in the main application
+window.invoiceFiles = {
+  init: initInvoiceFiles
+};
@@ -0,0 +1,205 @@
+console.log('Job stages module loading...');
+
+// Where a case physically is in the lab (job_stages in Firestore, next to notes and reminders).
+// Xero only knows whether the invoice is draft/authorised/paid - not whether the job is in milling.
+
+const JOB_STAGES = [
+  { value: 'received', label: 'Received' },
+  { value: 'design', label: 'In design' },
+  { value: 'milling', label: 'Milling' },
+  { value: 'finishing', label: 'Finishing' },
+  { value: 'qc', label: 'QC' },
+  { value: 'dispatched', label: 'Dispatched' }
+];
+
+let currentJobStage = null;
+let currentJobStageInvoice = null;
+let jobStageOnChange = null;
+
+function getJobStageLabel(stage) {
+  const match = JOB_STAGES.find(option => option.value === stage);
+  return match ? match.label : 'Not started';
+}
+
+function formatJobStageDate(dateString) {
+  if (!dateString) return '';
+  const date = new Date(dateString);
+  return isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+// Fetch the stage of the invoice shown in the detail view
+async function fetchJobStage(invoiceId) {
+  try {
+    const response = await fetch(`/api/firebase-api/job-stages/${invoiceId}?tenantId=${encodeURIComponent(window.tenantId || '')}`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch job stage: ${response.status}`);
+    }
+
+    const data = await response.json();
+    currentJobStage = data.jobStage;
+    displayJobStage();
+  } catch (error) {
+    console.error('Error fetching job stage:', error);
+    const panel = document.getElementById('job-stage-panel');
+    if (panel) panel.innerHTML = '<div class="error-message">Failed to load the job stage. Please try again.</div>';
+  }
+}
+
+function displayJobStage() {
+  const panel = document.getElementById('job-stage-panel');
+  if (!panel) {
+    console.error('Job stage panel element not found');
+    return;
+  }
+
+  const stage = currentJobStage?.stage || null;
+  const currentIndex = JOB_STAGES.findIndex(option => option.value === stage);
+
+  // Progress bar of all stages, then the history (newest first)
+  const stepsHtml = JOB_STAGES.map((option, index) => `
+    <button type="button"
+            class="job-stage-step ${index < currentIndex ? 'done' : ''} ${index === currentIndex ? 'current' : ''}"
+            data-stage="${option.value}"
+            title="Move to ${option.label}">
+      ${option.label}
+    </button>
+  `).join('');
+
+  const history = [...(currentJobStage?.history || [])].sort((a, b) => new Date(b.changedAt) - new Date(a.changedAt));
+  const historyHtml = history.length > 0
+    ? history.map(entry => `
+        <div class="item-card">
+          <div class="item-header">
+            <div>
+              <span class="job-stage-badge stage-${entry.stage}">${getJobStageLabel(entry.stage)}</span>
+              <span class="item-date">${formatJobStageDate(entry.changedAt)}</span>
+            </div>
+          </div>
+          ${entry.note ? `<div class="item-content">${entry.note}</div>` : ''}
+        </div>
+      `).join('')
+    : `
+      <div class="empty-state">
+        <p>This job hasn't been given a stage yet.</p>
+        <p>Pick the stage it's at above.</p>
+      </div>
+    `;
+
+  panel.innerHTML = `
+    <div class="job-stage-current">
+      <strong>Current stage:</strong>
+      <span class="job-stage-badge ${stage ? `stage-${stage}` : ''}">${getJobStageLabel(stage)}</span>
+      ${currentJobStage?.updatedAt ? `<span class="item-date">since ${formatJobStageDate(currentJobStage.updatedAt)}</span>` : ''}
+    </div>
+    <div class="job-stage-steps">${stepsHtml}</div>
+    <div class="form-row">
+      <label for="job-stage-note">Note for this move (optional):</label>
+      <input type="text" id="job-stage-note" placeholder="e.g. Shade adjusted, sent back to finishing">
+    </div>
+    <h3 class="form-title">History</h3>
+    <div class="item-list">${historyHtml}</div>
+  `;
+
+  panel.querySelectorAll('.job-stage-step').forEach(button => {
+    button.addEventListener('click', () => updateJobStage(button.dataset.stage));
+  });
+}
+
+/**
+ * Moves a job to a stage.
+ * @param {object} invoice - Xero invoice of the job.
+ * @param {string} stage - One of the JOB_STAGES values.
+ * @param {string} [note] - Optional note kept in the stage history.
+ * @returns {Promise<object>} The updated job stage record.
+ */
+async function saveJobStage(invoice, stage, note = '') {
+  const response = await fetch(`/api/firebase-api/job-stages/${invoice.InvoiceID}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      stage,
+      tenantId: window.tenantId,
+      invoiceNumber: invoice.InvoiceNumber,
+      accountNumber: invoice.Contact?.AccountNumber || invoice.Contact?.ContactID,
+      note
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to update job stage: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.jobStage;
+}
+
+// Move the current job to a stage
+async function updateJobStage(stage) {
+  const invoice = currentJobStageInvoice;
+  if (!invoice) return;
+  if (stage === currentJobStage?.stage) return;
+
+  const noteInput = document.getElementById('job-stage-note');
+
+  try {
+    currentJobStage = await saveJobStage(invoice, stage, noteInput ? noteInput.value.trim() : '');
+    displayJobStage();
+    showMessage(`Job moved to ${getJobStageLabel(stage)}.`);
+
+    if (typeof jobStageOnChange === 'function') jobStageOnChange(invoice.InvoiceID, stage);
+  } catch (error) {
+    console.error('Error updating job stage:', error);
+    showMessage('Failed to update the job stage. Please try again.', 'error');
+  }
+}
+
+/**
+ * Invoice IDs of the organisation's jobs currently at a stage.
+ * @param {string} stage - One of the JOB_STAGES values.
+ * @returns {Promise<string[]>}
+ */
+async function fetchInvoiceIdsAtStage(stage) {
+  const response = await fetch(`/api/firebase-api/job-stages?tenantId=${encodeURIComponent(window.tenantId || '')}&stage=${encodeURIComponent(stage)}`);
+  if (!response.ok) {
+    throw new Error(`Failed to list jobs at stage ${stage}: ${response.status}`);
+  }
+  const data = await response.json();
+  return (data.jobStages || []).map(jobStage => jobStage.invoiceId);
+}
+
+// Add the stages as options to a <select> (e.g. the stage filter)
+function fillJobStageOptions(select) {
+  if (!select) return;
+  JOB_STAGES.forEach(option => {
+    const element = document.createElement('option');
+    element.value = option.value;
+    element.textContent = option.label;
+    select.appendChild(element);
+  });
+}
+
+/**
+ * Shows the stage of an invoice in the detail view's Job Stage tab.
+ * @param {object} invoice - Xero invoice.
+ * @param {object} [options]
+ * @param {function} [options.onChange] - Called with (invoiceId, stage) after the job moves.
+ */
+function initJobStages(invoice, options = {}) {
+  currentJobStageInvoice = invoice;
+  currentJobStage = null;
+  jobStageOnChange = options.onChange || null;
+  fetchJobStage(invoice.InvoiceID);
+}
+
+// Export functions for use in the main application
+window.jobStages = {
+  STAGES: JOB_STAGES,
+  init: initJobStages,
+  getLabel: getJobStageLabel,
+  save: saveJobStage,
+  fetchInvoiceIdsAtStage,
+  fillOptions: fillJobStageOptions
+};
@@ -0,0 +1,229 @@
+console.log('Lab forms module loading...');
+
+// Scanned lab forms (prescriptions) for a case, from netlify/functions/lab-forms.js. The function
+// looks in the configured storage (Dropbox or a local folder) for files named after the six-digit
+// case number in the invoice number, so links are only shown for scans that actually exist.
+// The detail view's Lab Form tab also lists the scans uploaded in the Files tab as "Lab form"
+// (netlify/functions/invoice-files.js).
+
+// Formats browsers can show inline; anything else (TIFF, HEIC...) is offered as a download
+const LAB_FORM_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const LAB_FORM_MAX_CASES_PER_REQUEST = 25;
+
+// Files per case number, filled as list pages and detail views look them up
+const labFormCache = new Map();
+let pendingLabFormLinks = [];
+let labFormFlushTimer = null;
+let labFormInvoice = null;
+
+/**
+ * The lab form case number of an invoice: the first six digits in a row in its number.
+ * @param {object} invoice - Xero invoice.
+ * @returns {string|null}
+ */
+function getLabFormCaseNumber(invoice) {
+  const match = (invoice?.InvoiceNumber || '').match(/\d{6}/);
+  return match ? match[0] : null;
+}
+
+// File names come from whoever filed the scan, so they are escaped before going into markup
+function escapeLabFormHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatLabFormSize(bytes) {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Look up the files of some cases (in chunks the function accepts) and cache them
+async function fetchLabForms(caseNumbers) {
+  for (let index = 0; index < caseNumbers.length; index += LAB_FORM_MAX_CASES_PER_REQUEST) {
+    const chunk = caseNumbers.slice(index, index + LAB_FORM_MAX_CASES_PER_REQUEST);
+    const response = await fetch(`/api/lab-forms?caseNumbers=${encodeURIComponent(chunk.join(','))}`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to look up lab forms: ${response.status}`);
+    }
+
+    const data = await response.json();
+    chunk.forEach(caseNumber => labFormCache.set(caseNumber, data.labForms?.[caseNumber] || []));
+  }
+}
+
+// Fill a results list placeholder from the cache: a link to the scan, or a note that there isn't one
+function renderLabFormLink(placeholder) {
+  const files = labFormCache.get(placeholder.dataset.case);
+  if (!files) return;
+
+  if (files.length === 0) {
+    placeholder.innerHTML = '<span class="lab-form-missing">No lab form</span>';
+    return;
+  }
+
+  placeholder.innerHTML = `
+    <a href="${escapeLabFormHtml(files[0].url)}" target="_blank" rel="noopener noreferrer" class="rx-link">View Lab Form</a>
+    ${files.length > 1 ? `<span class="lab-form-count">(${files.length} files)</span>` : ''}
+  `;
+  // Opening the scan shouldn't also open the invoice
+  placeholder.querySelector('.rx-link').addEventListener('click', event => event.stopPropagation());
+}
+
+async function flushLabFormLinks() {
+  labFormFlushTimer = null;
+  const placeholders = pendingLabFormLinks;
+  pendingLabFormLinks = [];
+
+  const caseNumbers = [...new Set(placeholders.map(placeholder => placeholder.dataset.case))]
+    .filter(caseNumber => !labFormCache.has(caseNumber));
+
+  try {
+    if (caseNumbers.length > 0) await fetchLabForms(caseNumbers);
+  } catch (error) {
+    // The list is still usable without the links - they are looked up again next time
+    console.error('Error looking up lab forms:', error);
+  }
+  placeholders.forEach(renderLabFormLink);
+}
+
+/**
+ * Fills the `.lab-form-link[data-case]` placeholders in a results list element. Cases are
+ * looked up together shortly after, so a page of results needs only one request.
+ * @param {Element} container - A result item, or the whole list (e.g. a page restored from cache).
+ */
+function annotateLabFormLinks(container) {
+  container.querySelectorAll('.lab-form-link[data-case]').forEach(placeholder => {
+    if (labFormCache.has(placeholder.dataset.case)) {
+      renderLabFormLink(placeholder);
+    } else {
+      pendingLabFormLinks.push(placeholder);
+    }
+  });
+
+  if (pendingLabFormLinks.length > 0 && !labFormFlushTimer) {
+    labFormFlushTimer = setTimeout(flushLabFormLinks, 0);
+  }
+}
+
+function renderLabFormPreview(file) {
+  if (LAB_FORM_IMAGE_TYPES.includes(file.contentType)) {
+    return `<img class="lab-form-preview" src="${escapeLabFormHtml(file.url)}" alt="Lab form ${escapeLabFormHtml(file.name)}" loading="lazy">`;
+  }
+  if (file.contentType === 'application/pdf') {
+    return `<iframe class="lab-form-preview pdf" src="${escapeLabFormHtml(file.url)}" title="Lab form ${escapeLabFormHtml(file.name)}"></iframe>`;
+  }
+  return '<p class="lab-form-missing">This format can\'t be previewed in the browser - open it to view.</p>';
+}
+
+// Scans uploaded for the invoice in the Files tab, in the same shape as the stored ones
+async function fetchUploadedLabForms(invoice) {
+  const response = await fetch(`/api/invoice-files?invoiceId=${encodeURIComponent(invoice.InvoiceID)}`, {
+    headers: { 'Xero-Tenant-Id': window.tenantId || '' }
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to load uploaded lab forms: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return (data.files || [])
+    .filter(file => file.kind === 'lab-form')
+    .map(file => ({
+      name: file.fileName,
+      size: file.size,
+      contentType: file.contentType,
+      modifiedAt: file.uploadedAt,
+      url: file.url,
+      uploaded: true
+    }));
+}
+
+function displayLabForms(caseNumber, files, storageLabel) {
+  const panel = document.getElementById('lab-form-panel');
+  if (!panel) {
+    console.error('Lab form panel element not found');
+    return;
+  }
+
+  if (files.length === 0) {
+    panel.innerHTML = caseNumber ? `
+      <div class="empty-state">
+        <p>No lab form scan found for case ${caseNumber}${storageLabel ? ` in ${escapeLabFormHtml(storageLabel)}` : ''}.</p>
+        <p>Scans are matched by file name, e.g. ${caseNumber}.jpg or ${caseNumber}-2.pdf, or can be uploaded as "Lab form" in the Files tab.</p>
+      </div>
+    ` : `
+      <div class="empty-state">
+        <p>This invoice number has no six-digit case number, so there is no lab form to look up.</p>
+        <p>Upload the scan as "Lab form" in the Files tab to show it here.</p>
+      </div>
+    `;
+    return;
+  }
+
+  panel.innerHTML = files.map(file => `
+    <div class="item-card lab-form-card">
+      <div class="item-header">
+        <div>
+          <strong>${escapeLabFormHtml(file.name)}</strong>
+          <span class="item-date">${file.uploaded ? 'Uploaded - ' : ''}${formatLabFormSize(file.size)}${file.modifiedAt ? ` - ${new Date(file.modifiedAt).toLocaleString()}` : ''}</span>
+        </div>
+        <div class="item-actions">
+          <a class="item-action-btn" href="${escapeLabFormHtml(file.url)}" target="_blank" rel="noopener noreferrer" title="Open in a new tab">🔗</a>
+        </div>
+      </div>
+      ${renderLabFormPreview(file)}
+    </div>
+  `).join('');
+}
+
+/**
+ * Shows the lab forms of an invoice in the detail view's Lab Form tab.
+ * @param {object} invoice - Xero invoice.
+ */
+async function initLabForms(invoice) {
+  labFormInvoice = invoice;
+  const caseNumber = getLabFormCaseNumber(invoice);
+
+  // Always ask again here - the scan may have been filed since the list was loaded
+  async function fetchStoredLabForms() {
+    if (!caseNumber) return { files: [], storage: null };
+    const response = await fetch(`/api/lab-forms?caseNumbers=${caseNumber}`);
+    if (!response.ok) {
+      throw new Error(`Failed to load lab forms: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const files = data.labForms?.[caseNumber] || [];
+    labFormCache.set(caseNumber, files);
+    return { files, storage: data.storage };
+  }
+
+  try {
+    const [stored, uploaded] = await Promise.all([fetchStoredLabForms(), fetchUploadedLabForms(invoice)]);
+
+    // The user may have opened another invoice meanwhile
+    if (labFormInvoice !== invoice) return;
+    displayLabForms(caseNumber, [...stored.files, ...uploaded], stored.storage);
+  } catch (error) {
+    console.error('Error loading lab forms:', error);
+    if (labFormInvoice === invoice) showError('lab-form-panel', 'Failed to load the lab form. Please try again.');
+  }
+}
+
+// Look the open invoice's lab forms up again (a scan was uploaded or removed in the Files tab)
+function refreshLabForms() {
+  if (labFormInvoice) initLabForms(labFormInvoice);
+}
+
+// Export functions for use in the main application
+window.labForms = {
+  init: initLabForms,
+  refresh: refreshLabForms,
+  annotate: annotateLabFormLinks,
+  getCaseNumber: getLabFormCaseNumber
+};
@@ -1,8 +1,19 @@
 // netlify/functions/firebase-api.js
-const admin = require('firebase-admin');
+const crypto = require('crypto');
 const cors = require('cors');
 const express = require('express');
 const serverless = require('serverless-http');
+const { admin, db } = require('./utils/firebase');
+const { getSession } = require('./utils/token-store');
+const { queryInvoices, parseInvoiceCursor, parseTotalFilter, getInvoiceSummaries } = require('./utils/invoice-mirror');
+const { parseHolidayCalendar } = require('./utils/ics');
+const { normalizeRecurrence, getRecurrence, describeRecurrence, nextOccurrence } = require('./utils/recurrence');
+const {
+  getVapidPublicKey,
+  saveSubscription: savePushSubscription,
+  removeSubscription: removePushSubscription,
+  isSubscribed: isPushSubscribed
+} = require('./utils/push-notifications');
 
 // Initialize Express
 const app = express();
@@ -10,7 +21,7 @@ const router = express.Router(); // <-- Create a router
 
 // Apply middleware to the main app instance
 app.use(cors()); // Enable CORS for all requests to the function
-app.use(express.json()); // Enable JSON body parsing
+app.use(express.json({ limit: '1mb' })); // Enable JSON body parsing (holiday calendars can be large)
 
 // Add logging middleware to see incoming requests on the main app
 app.use((req, res, next) => {
@@ -18,46 +29,7 @@ app.use((req, res, next) => {
   next();
 });
 
-// Initialize Firebase admin (only once)
-// --- Make sure your Netlify environment variables are set: ---
-// FIREBASE_PROJECT_ID
-// FIREBASE_CLIENT_EMAIL
-// FIREBASE_PRIVATE_KEY
-let firebaseAppInitialized = false;
-if (admin.apps.length === 0) { // Check if already initialized
-    console.log('Attempting to initialize Firebase admin...');
-    console.log('Using Project ID:', process.env.FIREBASE_PROJECT_ID ? 'Exists' : 'MISSING!');
-    console.log('Using Client Email:', process.env.FIREBASE_CLIENT_EMAIL ? 'Exists' : 'MISSING!');
-    console.log('Using Private Key:', process.env.FIREBASE_PRIVATE_KEY ? 'Exists' : 'MISSING!');
-
-    if (!process.env.FIREBASE_PROJECT_ID || !process.env.FIREBASE_CLIENT_EMAIL || !process.env.FIREBASE_PRIVATE_KEY) {
-        console.error("FIREBASE ENVIRONMENT VARIABLES ARE MISSING!");
-        // Optionally throw an error or handle this case if needed,
-        // but logging is essential for debugging deployment.
-    } else {
-        try {
-            admin.initializeApp({
-                credential: admin.credential.cert({
-                    projectId: process.env.FIREBASE_PROJECT_ID,
-                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-                    // Replace escaped newlines in the private key from environment variable
-                    privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
-                })
-            });
-            firebaseAppInitialized = true;
-            console.log('Firebase admin initialized successfully.');
-        } catch (error) {
-            console.error('CRITICAL: Error initializing Firebase admin:', error);
-            // Depending on your needs, you might want to prevent the app from proceeding
-        }
-    }
-} else {
-    firebaseAppInitialized = true; // Already initialized
-    console.log('Firebase admin was already initialized.');
-}
-
-// Get database reference (only if initialized)
-const db = firebaseAppInitialized ? admin.firestore() : null;
+// Firebase admin + Firestore reference are initialised once in utils/firebase.js
 
 // Helper function to check DB connection and handle errors
 const ensureDb = (res) => {
@@ -81,6 +53,24 @@ const validateRequest = (req, res, requiredFields) => {
   return true;
 };
 
+// Helper to keep notes/reminders separate per Xero organisation.
+// Records created before multi-organisation support have no tenantId and are shown everywhere.
+const belongsToTenant = (data, tenantId) => !tenantId || !data.tenantId || data.tenantId === tenantId;
+
+// Helper for endpoints serving Xero data: the caller's Xero session must include the organisation
+const ensureTenantSession = async (req, res, tenantId) => {
+  const session = await getSession({ headers: req.headers });
+  if (!session) {
+    res.status(401).json({ error: 'Please connect to Xero first' });
+    return false;
+  }
+  if (!session.tenants.some(tenant => tenant.tenantId === tenantId)) {
+    res.status(403).json({ error: 'This Xero organisation is not connected' });
+    return false;
+  }
+  return true;
+};
+
 // ====== DEFINE ROUTES ON THE **ROUTER** ======
 // (Paths here are relative to the '/api/firebase-api' prefix we'll add later)
 
@@ -102,8 +92,10 @@ router.get('/notes/:accountNumber', async (req, res) => {
       .orderBy('createdAt', 'desc')
       .get();
 
+    const tenantId = req.query.tenantId;
     const notes = [];
     snapshot.forEach(doc => {
+      if (!belongsToTenant(doc.data(), tenantId)) return;
       notes.push({
         id: doc.id,
         ...doc.data(),
@@ -126,7 +118,7 @@ router.post('/notes', async (req, res) => {
   if (!validateRequest(req, res, ['accountNumber', 'text'])) return;
 
   try {
-    const { accountNumber, invoiceId, text, category } = req.body;
+    const { accountNumber, invoiceId, text, category, tenantId } = req.body;
     console.log(`ROUTER: Adding note for account: ${accountNumber}`);
 
     const noteData = {
@@ -138,6 +130,7 @@ router.post('/notes', async (req, res) => {
 
     if (invoiceId) noteData.invoiceId = invoiceId;
     if (category) noteData.category = category;
+    if (tenantId) noteData.tenantId = tenantId;
 
     const docRef = await db.collection('notes').add(noteData);
     console.log(`ROUTER: Note added with ID: ${docRef.id}`);
@@ -242,8 +235,15 @@ router.post('/batch-status', async (req, res) => {
           .select('invoiceId') // Only fetch the invoiceId field
           .get();
 
-      // Wait for both queries to complete
-      const [notesSnapshot, remindersSnapshot] = await Promise.all([notesQuery, remindersQuery]);
+      // Query 3: Current job stage (job_stages documents are keyed by invoiceId)
+      const stagesQuery = db.getAll(...invoiceIds.map(invId => db.collection('job_stages').doc(invId)));
+
+      // Query 4: Courier dispatch summary kept by the tracking function (no document = not dispatched)
+      const dispatchQuery = db.getAll(...invoiceIds.map(invId => db.collection('dispatch_status').doc(invId)));
+
+      // Wait for all queries to complete
+      const [notesSnapshot, remindersSnapshot, stageDocs, dispatchDocs] =
+          await Promise.all([notesQuery, remindersQuery, stagesQuery, dispatchQuery]);
 
       // --- Process Results ---
       const existingNoteInvoiceIds = new Set();
@@ -260,13 +260,25 @@ router.post('/batch-status', async (req, res) => {
            }
       });
 
+      const stageByInvoiceId = new Map();
+      stageDocs.forEach(doc => {
+          if (doc.exists) stageByInvoiceId.set(doc.id, doc.data().stage);
+      });
+
+      const dispatchByInvoiceId = new Map();
+      dispatchDocs.forEach(doc => {
+          if (doc.exists) dispatchByInvoiceId.set(doc.id, doc.data().state);
+      });
+
       // Build the status map keyed by InvoiceID
       const statusMap = {};
       invoiceIds.forEach(invId => {
           statusMap[invId] = {
               // *** CHANGED: Check using the sets based on invoiceId ***
               hasNote: existingNoteInvoiceIds.has(invId),
-              hasReminder: existingReminderInvoiceIds.has(invId)
+              hasReminder: existingReminderInvoiceIds.has(invId),
+              stage: stageByInvoiceId.get(invId) || null,
+              dispatchStatus: dispatchByInvoiceId.get(invId) || 'none' // none | in_transit | delivered | exception
           };
       });
 
@@ -280,6 +292,191 @@ router.post('/batch-status', async (req, res) => {
 });
 
 // ====== REMINDERS ENDPOINTS ======
+// A recurring reminder has a `recurrence` rule (utils/recurrence.js) and the date it was
+// `scheduledDate` for (its dueDate can be snoozed). Completing it adds the next occurrence:
+// occurrences share a `seriesId` (the first reminder's ID) and link to each other through
+// `previousReminderId` / `nextReminderId`.
+
+const toReminderResponse = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    recurrenceLabel: describeRecurrence(getRecurrence(data)),
+    createdAt: data.createdAt?.toDate().toISOString() || null,
+    completedAt: data.completedAt?.toDate().toISOString() || null,
+    scheduledDate: data.scheduledDate?.toDate().toISOString() || null,
+    dueDate: data.dueDate?.toDate().toISOString() || null // Make sure dueDate is stored as Timestamp
+  };
+};
+
+// Holiday dates of an organisation, for business-day recurrences (cached per request)
+const getHolidayDates = async (tenantId, cache) => {
+  if (!tenantId) return [];
+  if (!cache.has(tenantId)) {
+    cache.set(tenantId, readSettings(tenantId).then(settings => (settings.holidays || []).map(holiday => holiday.date)));
+  }
+  return cache.get(tenantId);
+};
+
+// Completes a reminder in a transaction, so a double-click or a second tab can't add its next
+// occurrence twice: reminders already completed are left alone, and one that already has a next
+// occurrence (completed, reopened and completed again) doesn't get another. `changes` are saved
+// with the completion and used for the next occurrence (e.g. a rule edited at the same time).
+// Resolves to { found, nextReminder } where nextReminder is { id, dueDate } of the added occurrence.
+const completeReminder = (ref, { changes = {}, holidayCache = new Map() } = {}) => db.runTransaction(async (transaction) => {
+  const doc = await transaction.get(ref);
+  if (!doc.exists) return { found: false, nextReminder: null };
+
+  const stored = doc.data();
+  if (stored.completed) return { found: true, nextReminder: null };
+
+  const data = { ...stored, ...changes };
+  const update = { ...changes, completed: true, completedAt: admin.firestore.FieldValue.serverTimestamp() };
+  const rule = getRecurrence(data);
+  const scheduledDate = (data.scheduledDate || data.dueDate)?.toDate();
+
+  let nextReminder = null;
+  if (rule && scheduledDate && !stored.nextReminderId) {
+    const holidays = rule.businessDaysOnly ? await getHolidayDates(data.tenantId, holidayCache) : [];
+    const next = nextOccurrence(rule, scheduledDate, { holidays });
+
+    if (next) {
+      const nextRef = db.collection('reminders').doc();
+      const nextData = {
+        accountNumber: data.accountNumber,
+        text: data.text,
+        dueDate: admin.firestore.Timestamp.fromDate(next.dueDate),
+        scheduledDate: admin.firestore.Timestamp.fromDate(next.scheduledDate),
+        completed: false,
+        recurring: rule.frequency,
+        recurrence: rule,
+        seriesId: data.seriesId || doc.id,
+        previousReminderId: doc.id,
+        occurrence: (data.occurrence || 1) + 1,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      if (data.invoiceId) nextData.invoiceId = data.invoiceId;
+      if (data.tenantId) nextData.tenantId = data.tenantId;
+      if (data.tenantName) nextData.tenantName = data.tenantName;
+
+      transaction.set(nextRef, nextData);
+      update.nextReminderId = nextRef.id;
+      nextReminder = { id: nextRef.id, dueDate: next.dueDate.toISOString() };
+    } else {
+      console.log(`ROUTER: Recurring reminder ${doc.id} has reached its end date`);
+    }
+  }
+
+  transaction.update(ref, update);
+  return { found: true, nextReminder };
+});
+
+// Every incomplete reminder of an organisation, across all accounts, soonest due first: ?tenantId=...
+// Reminders linked to an invoice come with its number and customer from the invoice mirror.
+router.get('/reminders', async (req, res) => {
+  if (!ensureDb(res)) return;
+
+  try {
+    const { tenantId } = req.query;
+    if (!tenantId) {
+      return res.status(400).json({ error: 'tenantId is required' });
+    }
+
+    // The invoice details are Xero data
+    if (!(await ensureTenantSession(req, res, tenantId))) return;
+
+    // Equality filters only (no composite index); sorted here instead. Reminders from before
+    // multi-organisation support have no tenantId and stay on their invoice's Reminders tab.
+    const snapshot = await db.collection('reminders')
+      .where('tenantId', '==', tenantId)
+      .where('completed', '==', false)
+      .get();
+    const docs = snapshot.docs;
+
+    const invoicesById = await getInvoiceSummaries(tenantId, docs.map(doc => doc.data().invoiceId).filter(Boolean));
+
+    const reminders = docs
+      .map(doc => ({ ...toReminderResponse(doc), ...(invoicesById.get(doc.data().invoiceId) || {}) }))
+      .sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || ''));
+
+    console.log(`ROUTER: Found ${reminders.length} open reminders for tenant ${tenantId}`);
+    res.status(200).json({ reminders });
+  } catch (error) {
+    console.error('ROUTER: Error getting open reminders:', error);
+    res.status(500).json({ error: 'Failed to get reminders', details: error.message });
+  }
+});
+
+// Reminders completed at once by a bulk complete
+const BULK_COMPLETE_CONCURRENCY = 20;
+
+// Complete or snooze several reminders at once:
+// { tenantId, ids: [...], action: 'complete' } or { tenantId, ids: [...], action: 'snooze', until: 'YYYY-MM-DD' }
+// Responds with { updated, nextOccurrences, failed: [ids that couldn't be completed] }
+router.post('/reminders/bulk', async (req, res) => {
+  if (!ensureDb(res)) return;
+  if (!validateRequest(req, res, ['tenantId', 'ids', 'action'])) return;
+
+  try {
+    const { tenantId, ids, action, until } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > 500) {
+      return res.status(400).json({ error: 'ids must be an array of 1 to 500 reminder IDs' });
+    }
+    if (action !== 'complete' && action !== 'snooze') {
+      return res.status(400).json({ error: 'action must be complete or snooze' });
+    }
+
+    if (!(await ensureTenantSession(req, res, tenantId))) return;
+
+    let snoozeTimestamp = null;
+    if (action === 'snooze') {
+      const untilDate = new Date(until);
+      if (!until || isNaN(untilDate.getTime())) {
+        return res.status(400).json({ error: 'Invalid snooze date. Please use YYYY-MM-DD.' });
+      }
+      snoozeTimestamp = admin.firestore.Timestamp.fromDate(untilDate);
+    }
+
+    const refs = [...new Set(ids)].map(id => db.collection('reminders').doc(String(id)));
+    const docs = (await db.getAll(...refs)).filter(doc => doc.exists);
+    // Only the organisation's own reminders, as listed by GET /reminders
+    if (docs.some(doc => doc.data().tenantId !== tenantId)) {
+      return res.status(403).json({ error: 'Some reminders belong to another organisation' });
+    }
+
+    let nextOccurrences = 0;
+    const failed = [];
+    if (action === 'complete') {
+      // One transaction per reminder (a recurring one takes three writes), a few at a time so a
+      // large selection finishes inside the function timeout
+      const holidayCache = new Map();
+      for (let index = 0; index < docs.length; index += BULK_COMPLETE_CONCURRENCY) {
+        const chunk = docs.slice(index, index + BULK_COMPLETE_CONCURRENCY);
+        const results = await Promise.allSettled(chunk.map(doc => completeReminder(doc.ref, { holidayCache })));
+        results.forEach((result, chunkIndex) => {
+          if (result.status === 'rejected') {
+            console.error(`ROUTER: Error completing reminder ${chunk[chunkIndex].id}:`, result.reason);
+            failed.push(chunk[chunkIndex].id);
+          } else if (result.value.nextReminder) {
+            nextOccurrences++;
+          }
+        });
+      }
+    } else {
+      // One write per reminder - at most 500 ids, so a single batch
+      const batch = db.batch();
+      docs.forEach(doc => batch.update(doc.ref, { dueDate: snoozeTimestamp, snoozedAt: admin.firestore.FieldValue.serverTimestamp() }));
+      await batch.commit();
+    }
+
+    console.log(`ROUTER: Bulk ${action} of ${docs.length} reminders for tenant ${tenantId} (${nextOccurrences} next occurrences, ${failed.length} failed)`);
+    res.status(200).json({ success: failed.length === 0, updated: docs.length - failed.length, nextOccurrences, failed });
+  } catch (error) {
+    console.error('ROUTER: Error updating reminders in bulk:', error);
+    res.status(500).json({ error: 'Failed to update reminders', details: error.message });
+  }
+});
 
 // Get all reminders for an account
 router.get('/reminders/:accountNumber', async (req, res) => {
@@ -297,15 +494,10 @@ router.get('/reminders/:accountNumber', async (req, res) => {
       .orderBy('dueDate', 'asc')
       .get();
 
-    const reminders = [];
-    snapshot.forEach(doc => {
-      reminders.push({
-        id: doc.id,
-        ...doc.data(),
-        createdAt: doc.data().createdAt?.toDate().toISOString() || null,
-        dueDate: doc.data().dueDate?.toDate().toISOString() || null // Make sure dueDate is stored as Timestamp
-      });
-    });
+    const tenantId = req.query.tenantId;
+    const reminders = snapshot.docs
+      .filter(doc => belongsToTenant(doc.data(), tenantId))
+      .map(toReminderResponse);
 
     console.log(`ROUTER: Found ${reminders.length} reminders for account ${accountNumber}`);
     res.status(200).json({ reminders });
@@ -321,9 +513,15 @@ router.post('/reminders', async (req, res) => {
   if (!validateRequest(req, res, ['accountNumber', 'text', 'dueDate'])) return;
 
   try {
-    const { accountNumber, invoiceId, text, dueDate, recurring } = req.body;
+    const { accountNumber, invoiceId, text, dueDate, recurring, recurrence, tenantId } = req.body;
     console.log(`ROUTER: Adding reminder for account: ${accountNumber}`);
 
+    // `recurrence` is the full rule; `recurring` ('weekly' | 'monthly') is what older clients send
+    const { rule, error: recurrenceError } = normalizeRecurrence(recurrence || recurring);
+    if (recurrenceError) {
+      return res.status(400).json({ error: recurrenceError });
+    }
+
     let dueDateTimestamp;
     try {
       // Assuming dueDate is sent as an ISO string (e.g., "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm:ss.sssZ")
@@ -346,8 +544,20 @@ router.post('/reminders', async (req, res) => {
     };
 
     if (invoiceId) reminderData.invoiceId = invoiceId;
-    // Handle 'none' or empty string for recurring
-    if (recurring && recurring !== 'none') reminderData.recurring = recurring;
+    if (tenantId) {
+      reminderData.tenantId = tenantId;
+      // The organisation's name labels the reminder in the emailed digest (reminder-digest.js)
+      const session = await getSession({ headers: req.headers });
+      const tenant = session && session.tenants.find(connected => connected.tenantId === tenantId);
+      if (tenant && tenant.tenantName) reminderData.tenantName = tenant.tenantName;
+    }
+    if (rule) {
+      // Monthly reminders keep to the first due date's day (the 31st stays the month's last day)
+      if (rule.frequency === 'monthly' && !rule.dayOfMonth) rule.dayOfMonth = dueDateTimestamp.toDate().getUTCDate();
+      reminderData.recurring = rule.frequency;
+      reminderData.recurrence = rule;
+      reminderData.scheduledDate = dueDateTimestamp;
+    }
 
     const docRef = await db.collection('reminders').add(reminderData);
     console.log(`ROUTER: Reminder added with ID: ${docRef.id}`);
@@ -373,9 +583,9 @@ router.put('/reminders/:reminderId', async (req, res) => {
       return res.status(400).json({ error: 'Reminder ID is required' });
     }
 
-    const { text, dueDate, completed, recurring } = req.body;
+    const { text, dueDate, completed, recurring, recurrence } = req.body;
     // Check if at least one field is provided for update
-    if (text === undefined && dueDate === undefined && completed === undefined && recurring === undefined) {
+    if (text === undefined && dueDate === undefined && completed === undefined && recurring === undefined && recurrence === undefined) {
       return res.status(400).json({ error: 'No fields provided to update' });
     }
 
@@ -390,24 +600,42 @@ router.put('/reminders/:reminderId', async (req, res) => {
             throw new Error('Invalid date value');
         }
         updateData.dueDate = admin.firestore.Timestamp.fromDate(dateObj);
+        // Unlike a snooze, an edited due date moves a recurring reminder's schedule too
+        updateData.scheduledDate = updateData.dueDate;
       } catch (e) {
         console.error("Invalid due date format for update:", dueDate, e);
         return res.status(400).json({ error: 'Invalid due date format for update. Please use YYYY-MM-DD or a full ISO string.' });
       }
     }
 
-    if (completed !== undefined) updateData.completed = Boolean(completed); // Ensure boolean
+    // Completing goes through completeReminder so a recurring reminder gets its next occurrence
+    if (completed === false) updateData.completed = false;
 
-    // Handle recurring update, allow setting to null or empty string to remove it
-    if (recurring !== undefined) {
-        updateData.recurring = (recurring && recurring !== 'none') ? recurring : null;
+    // Handle recurring update, allow setting to null, empty string or 'none' to remove it
+    if (recurring !== undefined || recurrence !== undefined) {
+      const { rule, error: recurrenceError } = normalizeRecurrence(recurrence !== undefined ? recurrence : recurring);
+      if (recurrenceError) {
+        return res.status(400).json({ error: recurrenceError });
+      }
+      updateData.recurring = rule ? rule.frequency : null;
+      updateData.recurrence = rule;
     }
 
-
-    await db.collection('reminders').doc(reminderId).update(updateData);
+    const docRef = db.collection('reminders').doc(reminderId);
+    let nextReminder = null;
+    if (completed) {
+      // The other changes are saved with the completion, so e.g. a new rule is used for the next occurrence
+      const result = await completeReminder(docRef, { changes: updateData });
+      if (!result.found) {
+        return res.status(404).json({ error: 'Reminder not found' });
+      }
+      nextReminder = result.nextReminder;
+    } else {
+      await docRef.update(updateData);
+    }
     console.log(`ROUTER: Reminder ${reminderId} updated successfully`);
 
-    res.status(200).json({ success: true, message: 'Reminder updated successfully' });
+    res.status(200).json({ success: true, message: 'Reminder updated successfully', nextReminder });
   } catch (error) {
     console.error('ROUTER: Error updating reminder:', error);
     res.status(500).json({ error: 'Failed to update reminder', details: error.message });
@@ -424,14 +652,13 @@ router.put('/reminders/:reminderId/complete', async (req, res) => {
       return res.status(400).json({ error: 'Reminder ID is required' });
     }
 
-    await db.collection('reminders').doc(reminderId).update({
-      completed: true,
-      // Optionally update an 'updatedAt' timestamp here too
-      // updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-    console.log(`ROUTER: Reminder ${reminderId} marked as complete`);
+    const { found, nextReminder } = await completeReminder(db.collection('reminders').doc(reminderId));
+    if (!found) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+    console.log(`ROUTER: Reminder ${reminderId} marked as complete${nextReminder ? `, next occurrence ${nextReminder.id}` : ''}`);
 
-    res.status(200).json({ success: true, message: 'Reminder marked as complete' });
+    res.status(200).json({ success: true, message: 'Reminder marked as complete', nextReminder });
   } catch (error) {
     console.error('ROUTER: Error completing reminder:', error);
     res.status(500).json({ error: 'Failed to complete reminder', details: error.message });
@@ -458,6 +685,482 @@ router.delete('/reminders/:reminderId', async (req, res) => {
   }
 });
 
+// ====== PUSH NOTIFICATION ENDPOINTS ======
+// Browsers subscribe per organisation to the reminder notifications sent by reminder-digest.js.
+
+// VAPID key to subscribe with, and whether this browser is subscribed: ?tenantId=...&endpoint=...
+router.get('/push-subscriptions', async (req, res) => {
+  if (!ensureDb(res)) return;
+
+  try {
+    const { tenantId, endpoint } = req.query;
+    const publicKey = getVapidPublicKey();
+    const subscribed = Boolean(publicKey && tenantId && endpoint) && await isPushSubscribed(endpoint, tenantId);
+    res.status(200).json({ publicKey, subscribed });
+  } catch (error) {
+    console.error('ROUTER: Error getting push subscription status:', error);
+    res.status(500).json({ error: 'Failed to get push subscription status', details: error.message });
+  }
+});
+
+// Turn notifications on for an organisation: { tenantId, subscription: PushSubscription JSON }
+router.post('/push-subscriptions', async (req, res) => {
+  if (!ensureDb(res)) return;
+  if (!validateRequest(req, res, ['tenantId', 'subscription'])) return;
+
+  try {
+    const { tenantId, subscription } = req.body;
+    if (!subscription.endpoint || !/^https:\/\//.test(subscription.endpoint) || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+      return res.status(400).json({ error: 'Invalid push subscription' });
+    }
+    if (!(await ensureTenantSession(req, res, tenantId))) return;
+
+    await savePushSubscription(tenantId, subscription);
+    console.log(`ROUTER: Push subscription saved for tenant ${tenantId}`);
+    res.status(201).json({ success: true });
+  } catch (error) {
+    console.error('ROUTER: Error saving push subscription:', error);
+    res.status(500).json({ error: 'Failed to save push subscription', details: error.message });
+  }
+});
+
+// Turn notifications off for an organisation: { tenantId, endpoint }
+router.delete('/push-subscriptions', async (req, res) => {
+  if (!ensureDb(res)) return;
+  if (!validateRequest(req, res, ['tenantId', 'endpoint'])) return;
+
+  try {
+    const { tenantId, endpoint } = req.body;
+    if (!(await ensureTenantSession(req, res, tenantId))) return;
+
+    await removePushSubscription(endpoint, tenantId);
+    console.log(`ROUTER: Push subscription removed for tenant ${tenantId}`);
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('ROUTER: Error removing push subscription:', error);
+    res.status(500).json({ error: 'Failed to remove push subscription', details: error.message });
+  }
+});
+
+
+// ====== JOB STAGES ENDPOINTS ======
+// Where a case physically is in the lab. One document per invoice in job_stages/{invoiceId}
+// with the current stage and its history [{ stage, note, changedAt }].
+
+const JOB_STAGES = ['received', 'design', 'milling', 'finishing', 'qc', 'dispatched'];
+
+const toJobStageResponse = (doc) => {
+  const data = doc.data();
+  return {
+    invoiceId: doc.id,
+    ...data,
+    updatedAt: data.updatedAt?.toDate().toISOString() || null,
+    history: (data.history || []).map(entry => ({
+      ...entry,
+      changedAt: entry.changedAt?.toDate().toISOString() || null
+    }))
+  };
+};
+
+// List the invoices at a stage: ?tenantId=...&stage=milling
+router.get('/job-stages', async (req, res) => {
+  if (!ensureDb(res)) return;
+
+  try {
+    const { tenantId, stage } = req.query;
+    if (!tenantId || !JOB_STAGES.includes(stage)) {
+      return res.status(400).json({ error: `tenantId and a stage (${JOB_STAGES.join(', ')}) are required` });
+    }
+
+    console.log(`ROUTER: Listing jobs at stage ${stage} for tenant: ${tenantId}`);
+    const snapshot = await db.collection('job_stages')
+      .where('tenantId', '==', tenantId)
+      .where('stage', '==', stage)
+      .select('stage', 'invoiceNumber', 'updatedAt')
+      .get();
+
+    const jobStages = snapshot.docs.map(doc => ({
+      invoiceId: doc.id,
+      stage: doc.data().stage,
+      invoiceNumber: doc.data().invoiceNumber || null,
+      updatedAt: doc.data().updatedAt?.toDate().toISOString() || null
+    }));
+
+    console.log(`ROUTER: Found ${jobStages.length} jobs at stage ${stage}`);
+    res.status(200).json({ jobStages });
+  } catch (error) {
+    console.error('ROUTER: Error listing job stages:', error);
+    res.status(500).json({ error: 'Failed to list job stages', details: error.message });
+  }
+});
+
+// Get the stage of one job
+router.get('/job-stages/:invoiceId', async (req, res) => {
+  if (!ensureDb(res)) return;
+
+  try {
+    const invoiceId = req.params.invoiceId;
+    const doc = await db.collection('job_stages').doc(invoiceId).get();
+
+    if (!doc.exists || !belongsToTenant(doc.data(), req.query.tenantId)) {
+      return res.status(200).json({ jobStage: null, stages: JOB_STAGES });
+    }
+
+    res.status(200).json({ jobStage: toJobStageResponse(doc), stages: JOB_STAGES });
+  } catch (error) {
+    console.error('ROUTER: Error getting job stage:', error);
+    res.status(500).json({ error: 'Failed to get job stage', details: error.message });
+  }
+});
+
+// Move a job to a stage: body { stage, tenantId, invoiceNumber, accountNumber, note }
+router.put('/job-stages/:invoiceId', async (req, res) => {
+  if (!ensureDb(res)) return;
+  if (!validateRequest(req, res, ['stage'])) return;
+
+  try {
+    const invoiceId = req.params.invoiceId;
+    const { stage, tenantId, invoiceNumber, accountNumber, note } = req.body;
+    if (!JOB_STAGES.includes(stage)) {
+      return res.status(400).json({ error: `Unknown stage "${stage}". Use one of: ${JOB_STAGES.join(', ')}` });
+    }
+
+    const stageData = {
+      stage,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      // serverTimestamp() isn't allowed inside arrays
+      history: admin.firestore.FieldValue.arrayUnion({
+        stage,
+        note: note ? String(note).slice(0, 500) : null,
+        changedAt: admin.firestore.Timestamp.now()
+      })
+    };
+
+    if (tenantId) stageData.tenantId = tenantId;
+    if (invoiceNumber) stageData.invoiceNumber = invoiceNumber;
+    if (accountNumber) stageData.accountNumber = accountNumber;
+
+    const docRef = db.collection('job_stages').doc(invoiceId);
+    await docRef.set(stageData, { merge: true });
+    console.log(`ROUTER: Job ${invoiceId} moved to stage ${stage}`);
+
+    res.status(200).json({ success: true, jobStage: toJobStageResponse(await docRef.get()) });
+  } catch (error) {
+    console.error('ROUTER: Error updating job stage:', error);
+    res.status(500).json({ error: 'Failed to update job stage', details: error.message });
+  }
+});
+
+
+// ====== INVOICE MIRROR ENDPOINTS ======
+// Invoices synced from Xero by the xero-sync function. Unlike notes these are Xero data,
+// so the caller must hold a Xero session that includes the requested organisation.
+
+// Search/list mirrored invoices, newest first
+// Query params: tenantId (required), q, customer, ref, contactId, status (comma separated),
+// total (comma separated comparisons, e.g. ">500,<=1000"), from, to (YYYY-MM-DD), pageSize, and
+// cursor (the previous page's nextCursor)
+router.get('/invoices', async (req, res) => {
+  if (!ensureDb(res)) return;
+
+  try {
+    const { tenantId, q, customer, ref, contactId, status, total, from, to } = req.query;
+    if (!tenantId) {
+      return res.status(400).json({ error: 'tenantId is required' });
+    }
+
+    if (!(await ensureTenantSession(req, res, tenantId))) return;
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(`${to}T23:59:59.999Z`) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: 'Invalid date range. Please use YYYY-MM-DD.' });
+    }
+
+    const totals = total ? String(total).split(',').map(parseTotalFilter) : [];
+    if (totals.includes(null)) {
+      return res.status(400).json({ error: 'Invalid total filter. Use e.g. >500 or <=1000.' });
+    }
+
+    const cursor = req.query.cursor ? parseInvoiceCursor(String(req.query.cursor)) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    const statuses = status ? status.split(',').map(s => s.trim().toUpperCase()).filter(Boolean) : null;
+    if (statuses && statuses.length > 30) {
+      return res.status(400).json({ error: 'Too many statuses (at most 30)' });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 100, 1), 1000);
+
+    console.log(`ROUTER: Querying invoice mirror for tenant ${tenantId} (q="${q || ''}", status=${status || 'any'}${cursor ? ', next page' : ''})`);
+    const result = await queryInvoices(tenantId, {
+      q,
+      customer,
+      ref,
+      contactId,
+      totals,
+      statuses,
+      from: fromDate,
+      to: toDate,
+      cursor,
+      pageSize
+    });
+
+    console.log(`ROUTER: Invoice mirror returned ${result.invoices.length} matches${result.hasMore ? ' (more to come)' : ''}`);
+    res.status(200).json({ ...result, pageSize });
+  } catch (error) {
+    console.error('ROUTER: Error querying invoice mirror:', error);
+    res.status(500).json({ error: 'Failed to query invoices', details: error.message });
+  }
+});
+
+
+// ====== WEBHOOK EVENTS ENDPOINT ======
+// INVOICE/CONTACT events queued by the xero-webhook function, polled by the browser.
+
+// Cursors are "<seconds>.<nanoseconds>_<docId>" of the last event returned: events are paged on
+// (receivedAt, document ID), so events sharing a timestamp aren't skipped when a page fills up.
+const toWebhookCursor = (doc) => {
+  const receivedAt = doc.data().receivedAt;
+  return `${receivedAt.seconds}.${String(receivedAt.nanoseconds).padStart(9, '0')}_${doc.id}`;
+};
+
+const parseWebhookCursor = (value) => {
+  const match = /^(\d+)\.(\d{9})_(.+)$/.exec(value);
+  if (match) {
+    return { receivedAt: new admin.firestore.Timestamp(Number(match[1]), Number(match[2])), docId: match[3] };
+  }
+  // An ISO date: the starting cursor, or one from before cursors included the document ID
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : { receivedAt: admin.firestore.Timestamp.fromDate(date), docId: null };
+};
+
+// Events received after the `since` cursor. Without `since` it only returns a cursor to start from.
+router.get('/webhook-events', async (req, res) => {
+  if (!ensureDb(res)) return;
+
+  try {
+    const { tenantId, since } = req.query;
+    if (!tenantId) {
+      return res.status(400).json({ error: 'tenantId is required' });
+    }
+    if (!(await ensureTenantSession(req, res, tenantId))) return;
+
+    if (!since) {
+      return res.status(200).json({ events: [], cursor: new Date().toISOString() });
+    }
+
+    const after = parseWebhookCursor(since);
+    if (!after) {
+      return res.status(400).json({ error: 'Invalid since value. Please use a cursor from a previous response.' });
+    }
+
+    let query = db.collection('webhook_events')
+      .where('tenantId', '==', tenantId)
+      .orderBy('receivedAt', 'asc')
+      .orderBy(admin.firestore.FieldPath.documentId(), 'asc');
+    query = after.docId
+      ? query.startAfter(after.receivedAt, after.docId)
+      : query.where('receivedAt', '>', after.receivedAt);
+    const snapshot = await query.limit(500).get();
+
+    const events = snapshot.docs.map(doc => ({
+      id: doc.id,
+      eventCategory: doc.data().eventCategory,
+      eventType: doc.data().eventType,
+      resourceId: doc.data().resourceId,
+      eventDateUtc: doc.data().eventDateUtc || null,
+      receivedAt: doc.data().receivedAt?.toDate().toISOString() || null
+    }));
+
+    const cursor = snapshot.empty ? since : toWebhookCursor(snapshot.docs[snapshot.docs.length - 1]);
+    if (events.length > 0) {
+      console.log(`ROUTER: Returning ${events.length} webhook events for tenant ${tenantId}`);
+    }
+    res.status(200).json({ events, cursor });
+  } catch (error) {
+    console.error('ROUTER: Error getting webhook events:', error);
+    res.status(500).json({ error: 'Failed to get webhook events', details: error.message });
+  }
+});
+
+
+// ====== SETTINGS ENDPOINTS ======
+// Per-organisation job-age SLA settings, stored in settings/{tenantId}:
+// borderlineDays / deadlineDays (business days), holidays [{ date: 'YYYY-MM-DD', name }]
+// that the business-day count skips, and slaRules - turnaround times for particular customers
+// or products: [{ id, name, match: 'contact' | 'itemCode' | 'description', value, contactName,
+// borderlineDays, deadlineDays }]. value is a ContactID, or a pattern where * matches anything.
+
+const DEFAULT_SETTINGS = { borderlineDays: 7, deadlineDays: 10, holidays: [], slaRules: [] };
+const SLA_RULE_MATCH_TYPES = ['contact', 'itemCode', 'description'];
+
+const isValidThresholdPair = (borderline, deadline) =>
+  Number.isInteger(borderline) && Number.isInteger(deadline) && borderline >= 1 && deadline >= 1 && borderline <= deadline;
+
+// Returns { rules } with the cleaned-up rules, or { error } describing the first invalid one
+const normalizeSlaRules = (rules) => {
+  if (!Array.isArray(rules)) return { error: 'slaRules must be an array' };
+
+  const normalized = [];
+  for (const rule of rules) {
+    const label = (rule && rule.name) || 'SLA rule';
+    if (!rule || !SLA_RULE_MATCH_TYPES.includes(rule.match)) {
+      return { error: `${label}: match must be one of ${SLA_RULE_MATCH_TYPES.join(', ')}` };
+    }
+    const value = String(rule.value || '').trim();
+    if (!value) {
+      return { error: `${label}: a customer or pattern is required` };
+    }
+    const borderlineDays = Number(rule.borderlineDays);
+    const deadlineDays = Number(rule.deadlineDays);
+    if (!isValidThresholdPair(borderlineDays, deadlineDays)) {
+      return { error: `${label}: thresholds must be whole business days, with borderline no later than the deadline` };
+    }
+    normalized.push({
+      id: String(rule.id || crypto.randomUUID()),
+      name: String(rule.name || value).slice(0, 100),
+      match: rule.match,
+      value: value.slice(0, 200),
+      contactName: rule.match === 'contact' ? String(rule.contactName || '').slice(0, 200) || null : null,
+      borderlineDays,
+      deadlineDays
+    });
+  }
+  return { rules: normalized };
+};
+
+// Returns an error message, or null if the holidays list is valid
+const validateHolidays = (holidays) => {
+  if (!Array.isArray(holidays)) return 'holidays must be an array';
+  const invalid = holidays.find(holiday =>
+    !holiday || !/^\d{4}-\d{2}-\d{2}$/.test(holiday.date) || isNaN(new Date(holiday.date).getTime()));
+  return invalid ? `Invalid holiday date: ${invalid && invalid.date}` : null;
+};
+
+// One entry per date, sorted
+const normalizeHolidays = (holidays) => {
+  const byDate = new Map();
+  holidays.forEach(holiday => byDate.set(holiday.date, String(holiday.name || 'Holiday').slice(0, 100)));
+  return Array.from(byDate, ([date, name]) => ({ date, name })).sort((a, b) => a.date.localeCompare(b.date));
+};
+
+const readSettings = async (tenantId) => {
+  const doc = await db.collection('settings').doc(tenantId).get();
+  const data = doc.exists ? doc.data() : {};
+  return {
+    ...DEFAULT_SETTINGS,
+    ...data,
+    updatedAt: data.updatedAt?.toDate().toISOString() || null
+  };
+};
+
+// Get settings for an organisation (defaults if never saved)
+router.get('/settings/:tenantId', async (req, res) => {
+  if (!ensureDb(res)) return;
+
+  try {
+    const tenantId = req.params.tenantId;
+    if (!(await ensureTenantSession(req, res, tenantId))) return;
+
+    console.log(`ROUTER: Getting settings for tenant: ${tenantId}`);
+    res.status(200).json({ settings: await readSettings(tenantId) });
+  } catch (error) {
+    console.error('ROUTER: Error getting settings:', error);
+    res.status(500).json({ error: 'Failed to get settings', details: error.message });
+  }
+});
+
+// Update SLA thresholds and/or the holiday list
+router.put('/settings/:tenantId', async (req, res) => {
+  if (!ensureDb(res)) return;
+
+  try {
+    const tenantId = req.params.tenantId;
+    if (!(await ensureTenantSession(req, res, tenantId))) return;
+
+    const { borderlineDays, deadlineDays, holidays, slaRules } = req.body;
+    const current = await readSettings(tenantId);
+    const updateData = {};
+
+    if (borderlineDays !== undefined || deadlineDays !== undefined) {
+      const borderline = borderlineDays !== undefined ? Number(borderlineDays) : current.borderlineDays;
+      const deadline = deadlineDays !== undefined ? Number(deadlineDays) : current.deadlineDays;
+      if (!Number.isInteger(borderline) || !Number.isInteger(deadline) || borderline < 1 || deadline < 1) {
+        return res.status(400).json({ error: 'Thresholds must be whole numbers of business days (1 or more).' });
+      }
+      if (borderline > deadline) {
+        return res.status(400).json({ error: 'The borderline threshold cannot be later than the deadline.' });
+      }
+      updateData.borderlineDays = borderline;
+      updateData.deadlineDays = deadline;
+    }
+
+    if (holidays !== undefined) {
+      const holidayError = validateHolidays(holidays);
+      if (holidayError) {
+        return res.status(400).json({ error: holidayError });
+      }
+      updateData.holidays = normalizeHolidays(holidays);
+    }
+
+    if (slaRules !== undefined) {
+      const { rules, error } = normalizeSlaRules(slaRules);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updateData.slaRules = rules;
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ error: 'No fields provided to update' });
+    }
+
+    updateData.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+    await db.collection('settings').doc(tenantId).set(updateData, { merge: true });
+    console.log(`ROUTER: Settings updated for tenant ${tenantId}`);
+
+    res.status(200).json({ success: true, settings: await readSettings(tenantId) });
+  } catch (error) {
+    console.error('ROUTER: Error updating settings:', error);
+    res.status(500).json({ error: 'Failed to update settings', details: error.message });
+  }
+});
+
+// Import holidays from an iCalendar file: body { ics: '<file contents>', replace: false }
+router.post('/settings/:tenantId/holidays/import', async (req, res) => {
+  if (!ensureDb(res)) return;
+  if (!validateRequest(req, res, ['ics'])) return;
+
+  try {
+    const tenantId = req.params.tenantId;
+    if (!(await ensureTenantSession(req, res, tenantId))) return;
+
+    let imported;
+    try {
+      imported = parseHolidayCalendar(req.body.ics);
+    } catch (e) {
+      return res.status(400).json({ error: `Could not read the calendar: ${e.message}` });
+    }
+
+    const current = await readSettings(tenantId);
+    // Existing entries win over imported ones for the same date (they may have been renamed)
+    const holidays = normalizeHolidays(req.body.replace ? imported : [...imported, ...current.holidays]);
+
+    await db.collection('settings').doc(tenantId).set({
+      holidays,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    console.log(`ROUTER: Imported ${imported.length} holiday days for tenant ${tenantId}`);
+
+    res.status(200).json({ success: true, imported: imported.length, settings: await readSettings(tenantId) });
+  } catch (error) {
+    console.error('ROUTER: Error importing holidays:', error);
+    res.status(500).json({ error: 'Failed to import holidays', details: error.message });
+  }
+});
+
 
 // ====== MOUNT THE ROUTER ONTO THE MAIN APP WITH THE PREFIX ======
 // All requests starting with /api/firebase-api will be handled by the router
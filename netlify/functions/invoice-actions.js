@@ -0,0 +1,291 @@
+// netlify/functions/invoice-actions.js
+// The changes the app is allowed to make to Xero invoices. The xero-api proxy is read-only;
+// every write goes through here, so each action checks the invoice's state before touching it.
+//
+// POST /api/invoice-actions/{invoiceId} with one of:
+//   { action: 'update-reference', reference }
+//   { action: 'add-line-item', lineItem: { description, quantity, unitAmount, accountCode?, itemCode? } }
+//   { action: 'mark-sent' }
+//   { action: 'void' }            - drafts are deleted (approved invoices are left to Xero, voiding can't be undone)
+//   { action: 'record-payment', payment: { accountId, amount, date (YYYY-MM-DD), reference? } }
+//                                 - once the invoice is paid in full its open reminders are completed
+// -> { invoice (as Xero has it after the change), completedReminders }
+// -> 400 { error, message, validationErrors: [...] } when Xero rejects the change
+const { admin, db } = require('./utils/firebase');
+const { getSession } = require('./utils/token-store');
+const { xeroFetch, getValidationErrors } = require('./utils/xero-client');
+const { saveInvoices } = require('./utils/invoice-mirror');
+
+const XERO_INVOICES_URL = 'https://api.xero.com/api.xro/2.0/Invoices';
+const XERO_PAYMENTS_URL = 'https://api.xero.com/api.xro/2.0/Payments';
+const EDITABLE_STATUSES = ['DRAFT', 'SUBMITTED', 'AUTHORISED'];
+const DRAFT_STATUSES = ['DRAFT', 'SUBMITTED'];
+
+// An action's problem with the invoice as it stands, shown to the user as-is
+class InvoiceActionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'InvoiceActionError';
+    this.statusCode = statusCode;
+  }
+}
+
+function hasPayments(invoice) {
+  return Number(invoice.AmountPaid || 0) > 0 || Number(invoice.AmountCredited || 0) > 0;
+}
+
+// Request for a change to the invoice itself
+function invoiceUpdate(invoice, fields) {
+  return {
+    url: `${XERO_INVOICES_URL}/${encodeURIComponent(invoice.InvoiceID)}`,
+    method: 'POST',
+    payload: { Invoices: [{ InvoiceID: invoice.InvoiceID, ...fields }] }
+  };
+}
+
+// Each action: the invoice as Xero has it now + the request body -> the request to send to Xero
+const ACTIONS = {
+  'update-reference': (invoice, body) => {
+    if (!EDITABLE_STATUSES.includes(invoice.Status)) {
+      throw new InvoiceActionError(`The reference of a ${invoice.Status.toLowerCase()} invoice can't be changed`);
+    }
+    const reference = String(body.reference || '').trim();
+    if (reference.length > 255) {
+      throw new InvoiceActionError('The reference can be at most 255 characters');
+    }
+    return invoiceUpdate(invoice, { Reference: reference });
+  },
+
+  'add-line-item': (invoice, body) => {
+    if (!EDITABLE_STATUSES.includes(invoice.Status) || hasPayments(invoice)) {
+      throw new InvoiceActionError('Line items can only be added to draft or approved invoices without payments');
+    }
+
+    const lineItem = body.lineItem || {};
+    const description = String(lineItem.description || '').trim();
+    const quantity = Number(lineItem.quantity);
+    const unitAmount = Number(lineItem.unitAmount);
+    if (!description || !(quantity > 0) || !Number.isFinite(unitAmount)) {
+      throw new InvoiceActionError('A line item needs a description, a quantity above 0 and a unit price');
+    }
+
+    // Xero replaces the whole list - existing lines must be sent back with their LineItemID
+    const existingLines = (invoice.LineItems || []).map(line => ({ LineItemID: line.LineItemID }));
+    const newLine = {
+      Description: description,
+      Quantity: quantity,
+      UnitAmount: unitAmount,
+      // Approved invoices need an account code on every line; default to the invoice's first one
+      AccountCode: lineItem.accountCode || (invoice.LineItems || []).find(line => line.AccountCode)?.AccountCode
+    };
+    if (lineItem.itemCode) newLine.ItemCode = lineItem.itemCode;
+
+    return invoiceUpdate(invoice, { LineItems: [...existingLines, newLine] });
+  },
+
+  'mark-sent': invoice => {
+    if (invoice.Status !== 'AUTHORISED') {
+      throw new InvoiceActionError('Only approved (awaiting payment) invoices can be marked as sent');
+    }
+    return invoiceUpdate(invoice, { SentToContact: true });
+  },
+
+  void: invoice => {
+    if (!DRAFT_STATUSES.includes(invoice.Status)) {
+      throw new InvoiceActionError('Only draft invoices can be voided here');
+    }
+    // Xero doesn't void drafts - they are deleted
+    return invoiceUpdate(invoice, { Status: 'DELETED' });
+  },
+
+  'record-payment': (invoice, body) => {
+    if (invoice.Status !== 'AUTHORISED') {
+      throw new InvoiceActionError('Payments can only be recorded against approved (awaiting payment) invoices');
+    }
+
+    const payment = body.payment || {};
+    const amount = Math.round(Number(payment.amount) * 100) / 100;
+    const amountDue = Number(invoice.AmountDue || 0);
+    if (!(amount > 0) || amount > amountDue) {
+      throw new InvoiceActionError(`The amount must be above 0 and at most the ${amountDue.toFixed(2)} due`);
+    }
+    if (!payment.accountId) {
+      throw new InvoiceActionError('Choose the bank account the payment went into');
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(payment.date || '') || isNaN(new Date(payment.date).getTime())) {
+      throw new InvoiceActionError('The payment date must be a valid date (YYYY-MM-DD)');
+    }
+
+    return {
+      url: XERO_PAYMENTS_URL,
+      method: 'PUT',
+      payload: {
+        Payments: [{
+          Invoice: { InvoiceID: invoice.InvoiceID },
+          Account: { AccountID: payment.accountId },
+          Date: payment.date,
+          Amount: amount,
+          Reference: String(payment.reference || '').trim().slice(0, 255) || undefined
+        }]
+      }
+    };
+  }
+};
+
+// A paid invoice needs no more chasing - complete the reminders left open against it.
+// Recurring ones end here too rather than getting a next occurrence.
+async function completeInvoiceReminders(tenantId, invoiceId) {
+  if (!db) return 0;
+
+  const snapshot = await db.collection('reminders')
+    .where('invoiceId', '==', invoiceId)
+    .where('completed', '==', false)
+    .get();
+  // Reminders from before multi-organisation support have no tenantId
+  const docs = snapshot.docs.filter(doc => !doc.data().tenantId || doc.data().tenantId === tenantId);
+  if (docs.length === 0) return 0;
+
+  const batch = db.batch();
+  docs.forEach(doc => batch.update(doc.ref, {
+    completed: true,
+    completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    completedReason: 'paid'
+  }));
+  await batch.commit();
+  console.log(`Completed ${docs.length} reminders for paid invoice ${invoiceId}`);
+  return docs.length;
+}
+
+exports.handler = async function(event, context) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Xero-Tenant-Id',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: corsHeaders };
+  }
+
+  const jsonResponse = (statusCode, body) => ({
+    statusCode,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getSession(event);
+    const tenantId = event.headers['xero-tenant-id'];
+
+    if (!session || !tenantId) {
+      return jsonResponse(401, { error: 'Missing authentication details' });
+    }
+    if (!session.tenants.some(tenant => tenant.tenantId === tenantId)) {
+      return jsonResponse(403, {
+        error: 'Forbidden',
+        message: 'This Xero organisation is not connected. Please reconnect to Xero.'
+      });
+    }
+
+    const invoiceId = (event.path.split('/invoice-actions/')[1] || '').split('/')[0];
+    const body = JSON.parse(event.body || '{}');
+    const buildUpdate = ACTIONS[body.action];
+    if (!invoiceId || !buildUpdate) {
+      return jsonResponse(400, {
+        error: 'Bad Request',
+        message: `An invoice ID and one of these actions are required: ${Object.keys(ACTIONS).join(', ')}`
+      });
+    }
+
+    const invoiceUrl = `${XERO_INVOICES_URL}/${encodeURIComponent(invoiceId)}`;
+    let response;
+    let result;
+    try {
+      // Work from the invoice as it is in Xero now, not as the browser last saw it
+      ({ response } = await xeroFetch(session, tenantId, invoiceUrl));
+      if (response.status === 404) {
+        return jsonResponse(404, { error: 'Not Found', message: 'Invoice not found in Xero' });
+      }
+      if (!response.ok) {
+        throw new Error(`Failed to load invoice ${invoiceId} from Xero: ${response.status}`);
+      }
+      const invoice = (await response.json()).Invoices[0];
+      if (invoice.Type !== 'ACCREC') {
+        return jsonResponse(400, { error: 'Bad Request', message: 'Only sales invoices can be changed here' });
+      }
+
+      const request = buildUpdate(invoice, body);
+      console.log(`Invoice action ${body.action} on ${invoice.InvoiceNumber} (${invoiceId})`);
+
+      ({ response } = await xeroFetch(session, tenantId, request.url, {
+        method: request.method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(request.payload)
+      }));
+      result = await response.json().catch(() => ({}));
+
+      // A payment response only summarises the invoice - get it again as it is now
+      if (response.ok && request.url === XERO_PAYMENTS_URL) {
+        const { response: invoiceResponse } = await xeroFetch(session, tenantId, invoiceUrl);
+        if (!invoiceResponse.ok) {
+          throw new Error(`Payment recorded, but reloading invoice ${invoiceId} failed: ${invoiceResponse.status}`);
+        }
+        result = await invoiceResponse.json();
+      }
+    } catch (error) {
+      if (error instanceof InvoiceActionError) {
+        return jsonResponse(error.statusCode, { error: 'Bad Request', message: error.message, validationErrors: [] });
+      }
+      // Refresh token rejected (revoked, or unused for 60 days) - the user must reconnect
+      if (!error.statusCode) throw error;
+      return jsonResponse(401, {
+        error: 'Unauthorized',
+        message: 'Your Xero session has expired. Please reconnect to Xero.',
+        reauth: true
+      });
+    }
+
+    if (response.status === 400) {
+      const validationErrors = getValidationErrors(result);
+      console.warn(`Xero rejected ${body.action} on ${invoiceId}:`, validationErrors);
+      return jsonResponse(400, { error: 'Validation failed', message: 'Xero rejected the change', validationErrors });
+    }
+    if (response.status === 401 || response.status === 403) {
+      return jsonResponse(403, {
+        error: 'Forbidden',
+        message: 'Xero did not allow the change. Reconnect to Xero to grant the app permission to edit invoices.'
+      });
+    }
+    if (!response.ok) {
+      console.error(`Xero ${body.action} on ${invoiceId} failed:`, response.status, result);
+      return jsonResponse(502, { error: 'Xero error', message: `Xero returned ${response.status}` });
+    }
+
+    const updatedInvoice = (result.Invoices || [])[0];
+
+    let completedReminders = 0;
+    if (body.action === 'record-payment' && updatedInvoice.Status === 'PAID') {
+      try {
+        completedReminders = await completeInvoiceReminders(tenantId, invoiceId);
+      } catch (error) {
+        console.error('Could not complete the reminders of a paid invoice:', error);
+      }
+    }
+
+    // Keep the search mirror current without waiting for the next sync
+    try {
+      await saveInvoices(tenantId, [updatedInvoice]);
+    } catch (error) {
+      console.warn('Could not update the invoice mirror after an invoice action:', error.message);
+    }
+
+    return jsonResponse(200, { invoice: updatedInvoice, completedReminders });
+  } catch (error) {
+    console.error('Error in invoice-actions function:', error);
+    return jsonResponse(500, { error: 'Server error', message: error.message });
+  }
+};
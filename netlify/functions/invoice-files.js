@@ -0,0 +1,230 @@
+// netlify/functions/invoice-files.js
+// Files uploaded from the invoice detail view (prescription scans, shade photos). Scans uploaded
+// as kind 'lab-form' are listed in the Lab Form tab too (lab-forms.js).
+//
+// The file goes to Firebase Storage under invoice-files/{tenantId}/{invoiceId}/ and is listed in the
+// `invoice_files` collection against the InvoiceID. It can also be pushed to Xero as an invoice
+// attachment (needs the accounting.attachments scope - older connections have to reconnect).
+//
+// GET    /api/invoice-files?invoiceId=...          -> files uploaded for the invoice
+// POST   /api/invoice-files { invoiceId, invoiceNumber, fileName, contentType, kind, data (base64), pushToXero }
+// POST   /api/invoice-files/{fileId}/xero          -> push an uploaded file to Xero (e.g. after a failed push)
+// GET    /api/invoice-files/{fileId}/content       -> the file itself
+// DELETE /api/invoice-files/{fileId}               -> remove from the app (a copy pushed to Xero stays there)
+const crypto = require('crypto');
+const { admin, db, getStorageBucket } = require('./utils/firebase');
+const { getSession } = require('./utils/token-store');
+const { xeroFetch } = require('./utils/xero-client');
+
+const INVOICE_FILES_COLLECTION = 'invoice_files';
+// Function payloads are capped at 6MB, and the upload arrives base64-encoded
+const MAX_FILE_BYTES = 4 * 1024 * 1024;
+const ALLOWED_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/tiff', 'application/pdf'];
+const FILE_KINDS = ['lab-form', 'photo', 'other'];
+
+function toFileResponse(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    invoiceId: data.invoiceId,
+    invoiceNumber: data.invoiceNumber,
+    fileName: data.fileName,
+    contentType: data.contentType,
+    size: data.size,
+    kind: data.kind,
+    url: `/api/invoice-files/${doc.id}/content`,
+    xeroAttachmentId: data.xeroAttachmentId || null,
+    xeroError: data.xeroError || null,
+    uploadedAt: data.uploadedAt?.toDate().toISOString() || null
+  };
+}
+
+// Keep file names safe for storage paths and Xero's attachment URL
+function toSafeFileName(fileName) {
+  const safeName = String(fileName || '').replace(/[^A-Za-z0-9._ -]/g, '_').replace(/^[._ ]+/, '').slice(-100);
+  return safeName || 'upload';
+}
+
+// Send a stored file to Xero as an invoice attachment; resolves to the fields to save on the file
+async function pushToXero(session, tenantId, data, contents) {
+  const url = `https://api.xero.com/api.xro/2.0/Invoices/${encodeURIComponent(data.invoiceId)}/Attachments/${encodeURIComponent(data.fileName)}`;
+
+  let response;
+  try {
+    ({ response } = await xeroFetch(session, tenantId, url, {
+      method: 'POST',
+      headers: { 'Content-Type': data.contentType },
+      body: contents
+    }));
+  } catch (error) {
+    // Refresh token rejected (revoked, or unused for 60 days)
+    if (!error.statusCode) throw error;
+    return { xeroAttachmentId: null, xeroError: 'Your Xero session has expired. Please reconnect to Xero.' };
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    return { xeroAttachmentId: null, xeroError: 'Xero did not allow the attachment. Reconnect to Xero to grant access to attachments.' };
+  }
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`Xero attachment upload failed for invoice ${data.invoiceId}:`, response.status, errorText);
+    return { xeroAttachmentId: null, xeroError: `Xero rejected the attachment (${response.status}).` };
+  }
+
+  const result = await response.json();
+  const attachment = (result.Attachments || [])[0] || {};
+  console.log(`Pushed ${data.fileName} to Xero invoice ${data.invoiceId} as attachment ${attachment.AttachmentID}`);
+  return { xeroAttachmentId: attachment.AttachmentID || null, xeroError: null };
+}
+
+exports.handler = async function(event, context) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Xero-Tenant-Id',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: corsHeaders };
+  }
+
+  const jsonResponse = (statusCode, body) => ({
+    statusCode,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    if (!db) {
+      throw new Error('Firestore is not initialized');
+    }
+
+    const session = await getSession(event);
+    if (!session) {
+      return jsonResponse(401, { error: 'Missing authentication details' });
+    }
+
+    // /api/invoice-files/{fileId}[/{action}]
+    const [fileId, action] = (event.path.split('/invoice-files/')[1] || '').split('/');
+
+    // File contents are loaded by <img>/<iframe> tags, which can't send the tenant header -
+    // check the file's own organisation against the session instead
+    if (event.httpMethod === 'GET' && fileId && action === 'content') {
+      const doc = await db.collection(INVOICE_FILES_COLLECTION).doc(fileId).get();
+      if (!doc.exists || !session.tenants.some(tenant => tenant.tenantId === doc.data().tenantId)) {
+        return jsonResponse(404, { error: 'Not Found', message: 'File not found' });
+      }
+
+      const [contents] = await getStorageBucket().file(doc.data().storagePath).download();
+      return {
+        statusCode: 200,
+        headers: {
+          ...corsHeaders,
+          'Content-Type': doc.data().contentType,
+          'Content-Disposition': `inline; filename="${doc.data().fileName.replace(/"/g, '')}"`,
+          'Cache-Control': 'private, max-age=300'
+        },
+        body: contents.toString('base64'),
+        isBase64Encoded: true
+      };
+    }
+
+    const tenantId = event.headers['xero-tenant-id'];
+    if (!tenantId) {
+      return jsonResponse(401, { error: 'Missing authentication details' });
+    }
+    if (!session.tenants.some(tenant => tenant.tenantId === tenantId)) {
+      return jsonResponse(403, {
+        error: 'Forbidden',
+        message: 'This Xero organisation is not connected. Please reconnect to Xero.'
+      });
+    }
+
+    if (event.httpMethod === 'GET') {
+      const { invoiceId } = event.queryStringParameters || {};
+      if (!invoiceId) {
+        return jsonResponse(400, { error: 'Bad Request', message: 'invoiceId is required' });
+      }
+
+      const snapshot = await db.collection(INVOICE_FILES_COLLECTION)
+        .where('invoiceId', '==', invoiceId)
+        .where('tenantId', '==', tenantId)
+        .get();
+      const files = snapshot.docs.map(toFileResponse)
+        .sort((a, b) => (b.uploadedAt || '').localeCompare(a.uploadedAt || ''));
+
+      console.log(`Returning ${files.length} uploaded files for invoice ${invoiceId}`);
+      return jsonResponse(200, { files });
+    }
+
+    if (event.httpMethod === 'POST' && fileId && action === 'xero') {
+      const docRef = db.collection(INVOICE_FILES_COLLECTION).doc(fileId);
+      const doc = await docRef.get();
+      if (!doc.exists || doc.data().tenantId !== tenantId) {
+        return jsonResponse(404, { error: 'Not Found', message: 'File not found' });
+      }
+
+      const [contents] = await getStorageBucket().file(doc.data().storagePath).download();
+      await docRef.update(await pushToXero(session, tenantId, doc.data(), contents));
+      return jsonResponse(200, { file: toFileResponse(await docRef.get()) });
+    }
+
+    if (event.httpMethod === 'POST' && !fileId) {
+      const { invoiceId, invoiceNumber, fileName, contentType, kind, data, pushToXero: shouldPush } = JSON.parse(event.body || '{}');
+      if (!invoiceId || !data) {
+        return jsonResponse(400, { error: 'Bad Request', message: 'invoiceId and data are required' });
+      }
+      if (!ALLOWED_CONTENT_TYPES.includes(contentType)) {
+        return jsonResponse(400, { error: 'Bad Request', message: 'Only images (JPEG, PNG, GIF, WebP, HEIC, TIFF) and PDFs can be uploaded' });
+      }
+
+      const contents = Buffer.from(data, 'base64');
+      if (contents.length === 0 || contents.length > MAX_FILE_BYTES) {
+        return jsonResponse(400, { error: 'Bad Request', message: `Files must be between 1 byte and ${MAX_FILE_BYTES / (1024 * 1024)}MB` });
+      }
+
+      const safeName = toSafeFileName(fileName);
+      const storagePath = `invoice-files/${tenantId}/${invoiceId}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeName}`;
+      await getStorageBucket().file(storagePath).save(contents, { contentType, resumable: false });
+
+      const fileData = {
+        invoiceId,
+        invoiceNumber: invoiceNumber || null,
+        tenantId,
+        fileName: safeName,
+        contentType,
+        size: contents.length,
+        kind: FILE_KINDS.includes(kind) ? kind : 'other',
+        storagePath,
+        xeroAttachmentId: null,
+        xeroError: null,
+        uploadedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      if (shouldPush) {
+        Object.assign(fileData, await pushToXero(session, tenantId, fileData, contents));
+      }
+
+      const docRef = await db.collection(INVOICE_FILES_COLLECTION).add(fileData);
+      console.log(`Uploaded ${safeName} (${contents.length} bytes) for invoice ${invoiceId}`);
+      return jsonResponse(201, { file: toFileResponse(await docRef.get()) });
+    }
+
+    if (event.httpMethod === 'DELETE' && fileId) {
+      const docRef = db.collection(INVOICE_FILES_COLLECTION).doc(fileId);
+      const doc = await docRef.get();
+      if (!doc.exists || doc.data().tenantId !== tenantId) {
+        return jsonResponse(404, { error: 'Not Found', message: 'File not found' });
+      }
+
+      await getStorageBucket().file(doc.data().storagePath).delete({ ignoreNotFound: true });
+      await docRef.delete();
+      console.log(`Removed uploaded file ${doc.data().fileName} from invoice ${doc.data().invoiceId}`);
+      return jsonResponse(200, { success: true });
+    }
+
+    return jsonResponse(405, { error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Error in invoice-files function:', error);
+    return jsonResponse(500, { error: 'Server error', message: error.message });
+  }
+};
@@ -0,0 +1,128 @@
+// netlify/functions/lab-forms.js
+// Scanned lab forms (prescriptions) for cases, from the storage in utils/lab-form-storage
+// (Dropbox, or a local folder). A case's files are named after its six-digit case number.
+//
+// GET /api/lab-forms?caseNumbers=123456,234567 -> { storage, labForms: { "123456": [files] } }
+//                                                 (an empty list means no scan has been filed yet)
+// GET /api/lab-forms/file/{name}               -> the file itself (a redirect to a temporary link
+//                                                 when the storage can make one)
+const { getSession } = require('./utils/token-store');
+const { getLabFormStorage, contentTypeFor, caseNumberFor } = require('./utils/lab-form-storage');
+
+// Results list pages look up one page of cases at a time
+const MAX_CASES_PER_REQUEST = 25;
+// Cases looked up in parallel, to stay well inside the storage API's rate limits
+const LOOKUP_CONCURRENCY = 5;
+
+function toFileResponse(file) {
+  return {
+    ...file,
+    contentType: contentTypeFor(file.name),
+    url: `/api/lab-forms/file/${encodeURIComponent(file.name)}`
+  };
+}
+
+async function listCases(storage, caseNumbers) {
+  const labForms = {};
+  for (let index = 0; index < caseNumbers.length; index += LOOKUP_CONCURRENCY) {
+    const batch = caseNumbers.slice(index, index + LOOKUP_CONCURRENCY);
+    const results = await Promise.all(batch.map(caseNumber => storage.list(caseNumber)));
+    batch.forEach((caseNumber, batchIndex) => {
+      labForms[caseNumber] = results[batchIndex]
+        .map(toFileResponse)
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    });
+  }
+  return labForms;
+}
+
+exports.handler = async function(event, context) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: corsHeaders };
+  }
+
+  const jsonResponse = (statusCode, body) => ({
+    statusCode,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (event.httpMethod !== 'GET') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  try {
+    // Patient prescriptions - signed-in users only. The scans aren't per organisation, and
+    // previews are loaded by <img>/<iframe> tags, so only the session cookie is checked.
+    const session = await getSession(event);
+    if (!session) {
+      return jsonResponse(401, { error: 'Missing authentication details' });
+    }
+
+    const storage = getLabFormStorage();
+    let fileName = null;
+    if (event.path.includes('/file/')) {
+      try {
+        fileName = decodeURIComponent(event.path.split('/file/')[1] || '');
+      } catch (error) {
+        // Malformed percent-encoding, e.g. %E0%A4%A
+        return jsonResponse(400, { error: 'Bad Request', message: 'Not a lab form file name' });
+      }
+    }
+
+    if (fileName !== null) {
+      if (!caseNumberFor(fileName)) {
+        return jsonResponse(400, { error: 'Bad Request', message: 'Not a lab form file name' });
+      }
+
+      const link = await storage.temporaryUrl(fileName);
+      if (link) {
+        return { statusCode: 302, headers: { ...corsHeaders, Location: link, 'Cache-Control': 'no-store' } };
+      }
+
+      const contents = await storage.read(fileName);
+      if (!contents) {
+        return jsonResponse(404, { error: 'Not Found', message: `Lab form ${fileName} not found` });
+      }
+
+      console.log(`Serving lab form ${fileName} (${contents.length} bytes) from ${storage.name}`);
+      return {
+        statusCode: 200,
+        headers: {
+          ...corsHeaders,
+          'Content-Type': contentTypeFor(fileName),
+          'Content-Disposition': `inline; filename="${fileName.replace(/"/g, '')}"`,
+          'Cache-Control': 'private, max-age=300'
+        },
+        body: contents.toString('base64'),
+        isBase64Encoded: true
+      };
+    }
+
+    const caseNumbers = [...new Set(String((event.queryStringParameters || {}).caseNumbers || '')
+      .split(',')
+      .map(caseNumber => caseNumber.trim())
+      .filter(Boolean))];
+    if (caseNumbers.length === 0 || caseNumbers.some(caseNumber => !/^\d{6}$/.test(caseNumber))) {
+      return jsonResponse(400, { error: 'Bad Request', message: 'caseNumbers must be a comma-separated list of six-digit case numbers' });
+    }
+    if (caseNumbers.length > MAX_CASES_PER_REQUEST) {
+      return jsonResponse(400, { error: 'Bad Request', message: `At most ${MAX_CASES_PER_REQUEST} case numbers per request` });
+    }
+
+    const labForms = await listCases(storage, caseNumbers);
+    const found = Object.values(labForms).filter(files => files.length > 0).length;
+    console.log(`Found lab forms for ${found} of ${caseNumbers.length} cases in ${storage.name}`);
+
+    return jsonResponse(200, { storage: storage.label, labForms });
+  } catch (error) {
+    console.error('Error in lab-forms function:', error);
+    return jsonResponse(500, { error: 'Server error', message: error.message });
+  }
+};
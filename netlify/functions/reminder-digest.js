@@ -0,0 +1,205 @@
+// netlify/functions/reminder-digest.js
+// Scheduled every morning (netlify.toml): finds the open reminders that are overdue or due today,
+// emails a digest of them grouped by organisation, and sends a push notification to the browsers
+// subscribed to each organisation's reminders (utils/push-notifications.js). Either channel is
+// skipped when it isn't configured; a failure in one doesn't stop the other.
+//
+// Run it by hand with `netlify functions:invoke reminder-digest`.
+//
+// --- Netlify environment variables: ---
+// REMINDER_DIGEST_TO - comma-separated digest recipients (no email is sent when unset)
+// REMINDER_DIGEST_TIMEZONE (optional) - decides which day is "today"; defaults to Australia/Sydney
+// plus the mail transport settings (utils/mail-transports) and VAPID keys for push.
+const { db } = require('./utils/firebase');
+const { getInvoiceSummaries } = require('./utils/invoice-mirror');
+const { sendMail } = require('./utils/mail-transports');
+const { getVapidPublicKey, notifyTenant } = require('./utils/push-notifications');
+
+const DEFAULT_TIMEZONE = 'Australia/Sydney';
+const INBOX_PATH = '/?view=reminders';
+
+// YYYY-MM-DD of today in the digest's time zone
+function todayIn(timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Open reminders due on or before `today`, grouped by organisation.
+ * @param {string} today - YYYY-MM-DD.
+ * @returns {Promise<Map<string, {overdue: Array<object>, dueToday: Array<object>}>>} Keyed by
+ *          tenantId ('' for reminders from before multi-organisation support); oldest due first.
+ */
+async function loadDueReminders(today) {
+  // Single-field filter only (no composite index), like the reminders inbox
+  const snapshot = await db.collection('reminders').where('completed', '==', false).get();
+  const groups = new Map();
+
+  snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data(), dueDate: doc.data().dueDate?.toDate().toISOString().slice(0, 10) }))
+    // Due dates are stored as UTC midnight of the calendar day
+    .filter(reminder => reminder.dueDate && reminder.dueDate <= today)
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+    .forEach(reminder => {
+      const tenantId = reminder.tenantId || '';
+      if (!groups.has(tenantId)) groups.set(tenantId, { overdue: [], dueToday: [] });
+      groups.get(tenantId)[reminder.dueDate < today ? 'overdue' : 'dueToday'].push(reminder);
+    });
+
+  // Invoice number and customer for reminders linked to a mirrored invoice
+  for (const [tenantId, group] of groups) {
+    if (!tenantId) continue;
+    const reminders = [...group.overdue, ...group.dueToday];
+    const invoicesById = await getInvoiceSummaries(tenantId, reminders.map(reminder => reminder.invoiceId).filter(Boolean));
+    reminders.forEach(reminder => Object.assign(reminder, invoicesById.get(reminder.invoiceId) || {}));
+  }
+
+  return groups;
+}
+
+function describeReminder(reminder) {
+  const account = reminder.contactName || reminder.accountNumber || 'Unknown account';
+  const invoice = reminder.invoiceNumber ? ` #${reminder.invoiceNumber}` : '';
+  return { heading: `${account}${invoice}`, text: reminder.text };
+}
+
+// Organisation name stored with the group's reminders (reminders from before names were stored have none)
+function organisationName(group, tenantId) {
+  const named = [...group.overdue, ...group.dueToday].find(reminder => reminder.tenantName);
+  if (named) return named.tenantName;
+  return tenantId ? 'Unnamed organisation' : 'No organisation';
+}
+
+/**
+ * The digest email for every organisation with something due.
+ * @param {Map} groups - From loadDueReminders.
+ * @param {string} today - YYYY-MM-DD.
+ * @param {string} inboxUrl - Link to the reminders inbox.
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function buildDigestEmail(groups, today, inboxUrl) {
+  let overdueCount = 0;
+  let dueTodayCount = 0;
+  const textSections = [];
+  const htmlSections = [];
+
+  groups.forEach((group, tenantId) => {
+    overdueCount += group.overdue.length;
+    dueTodayCount += group.dueToday.length;
+    const organisation = organisationName(group, tenantId);
+
+    const lists = [
+      { label: 'Overdue', reminders: group.overdue, showDueDate: true },
+      { label: 'Due today', reminders: group.dueToday, showDueDate: false }
+    ].filter(list => list.reminders.length > 0);
+
+    textSections.push([
+      organisation,
+      ...lists.map(list => [
+        `${list.label}:`,
+        ...list.reminders.map(reminder => {
+          const { heading, text } = describeReminder(reminder);
+          return `- ${heading}${list.showDueDate ? ` (due ${reminder.dueDate})` : ''}: ${text}`;
+        })
+      ].join('\n'))
+    ].join('\n\n'));
+
+    htmlSections.push(`
+      <h2>${escapeHtml(organisation)}</h2>
+      ${lists.map(list => `
+        <h3>${list.label}</h3>
+        <ul>
+          ${list.reminders.map(reminder => {
+            const { heading, text } = describeReminder(reminder);
+            return `<li><strong>${escapeHtml(heading)}</strong>${list.showDueDate ? ` (due ${reminder.dueDate})` : ''}: ${escapeHtml(text)}</li>`;
+          }).join('')}
+        </ul>
+      `).join('')}
+    `);
+  });
+
+  const summary = [overdueCount > 0 ? `${overdueCount} overdue` : null, dueTodayCount > 0 ? `${dueTodayCount} due today` : null]
+    .filter(Boolean).join(', ');
+
+  return {
+    subject: `Reminders for ${today}: ${summary}`,
+    text: `${textSections.join('\n\n')}\n\nOpen the reminders inbox: ${inboxUrl}\n`,
+    html: `${htmlSections.join('')}<p><a href="${escapeHtml(inboxUrl)}">Open the reminders inbox</a></p>`
+  };
+}
+
+exports.handler = async function(event, context) {
+  try {
+    if (!db) {
+      throw new Error('Firestore is not initialized');
+    }
+
+    const today = todayIn(process.env.REMINDER_DIGEST_TIMEZONE || DEFAULT_TIMEZONE);
+    const groups = await loadDueReminders(today);
+    const result = { date: today, organisations: groups.size, emailed: false, pushed: 0 };
+
+    if (groups.size === 0) {
+      console.log(`Reminder digest for ${today}: nothing due`);
+      return { statusCode: 200, body: JSON.stringify(result) };
+    }
+
+    const inboxUrl = `${process.env.URL || 'http://localhost:8888'}${INBOX_PATH}`;
+    const recipients = (process.env.REMINDER_DIGEST_TO || '').split(',').map(address => address.trim()).filter(Boolean);
+
+    if (recipients.length > 0) {
+      try {
+        const { messageId } = await sendMail({ to: recipients, ...buildDigestEmail(groups, today, inboxUrl) });
+        result.emailed = true;
+        console.log(`Reminder digest for ${today} emailed to ${recipients.length} recipients (${messageId})`);
+      } catch (error) {
+        console.error('Error emailing the reminder digest:', error);
+        result.emailError = error.message;
+      }
+    } else {
+      console.log('REMINDER_DIGEST_TO is not set, skipping the digest email');
+    }
+
+    if (getVapidPublicKey()) {
+      for (const [tenantId, group] of groups) {
+        // Reminders without an organisation have no subscribers
+        if (!tenantId) continue;
+        try {
+          const { sent, removed } = await notifyTenant(tenantId, {
+            title: `${plural(group.overdue.length + group.dueToday.length, 'reminder')} due`,
+            body: `${organisationName(group, tenantId)}: ${[
+              group.overdue.length > 0 ? `${group.overdue.length} overdue` : null,
+              group.dueToday.length > 0 ? `${group.dueToday.length} due today` : null
+            ].filter(Boolean).join(', ')}`,
+            url: INBOX_PATH
+          });
+          result.pushed += sent;
+          if (removed > 0) console.log(`Removed ${plural(removed, 'expired push subscription')} for tenant ${tenantId}`);
+        } catch (error) {
+          console.error(`Error sending reminder notifications for tenant ${tenantId}:`, error);
+        }
+      }
+    } else {
+      console.log('VAPID keys are not set, skipping push notifications');
+    }
+
+    console.log(`Reminder digest for ${today}: ${groups.size} organisations, ${result.pushed} notifications sent`);
+    return { statusCode: 200, body: JSON.stringify(result) };
+  } catch (error) {
+    console.error('Error running the reminder digest:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Server error', message: error.message })
+    };
+  }
+};
@@ -0,0 +1,230 @@
+// netlify/functions/tracking.js
+// Courier consignments for an invoice and their tracking history.
+//
+// Consignment numbers are stored against an InvoiceID in the `consignments` collection;
+// events come from the provider in utils/tracking-providers (TOLL Express, or a mock locally)
+// and are cached on the document so opening the tab doesn't call the courier every time.
+//
+// `dispatch_status/{invoiceId}` keeps a one-word summary of an invoice's consignments
+// (in_transit, delivered or exception; no document means none) for the results list badges.
+//
+// GET    /api/tracking?invoiceId=...[&refresh=1] -> consignments for the invoice (stale ones re-tracked)
+// POST   /api/tracking { invoiceId, invoiceNumber, consignmentNumber } -> add a consignment and track it
+// DELETE /api/tracking/{consignmentId}
+const { admin, db } = require('./utils/firebase');
+const { getSession } = require('./utils/token-store');
+const { getTrackingProvider, TrackingError } = require('./utils/tracking-providers');
+
+const CONSIGNMENTS_COLLECTION = 'consignments';
+const DISPATCH_STATUS_COLLECTION = 'dispatch_status';
+// Re-check undelivered consignments at most this often
+const TRACKING_REFRESH_MS = 15 * 60 * 1000;
+
+function toConsignmentResponse(doc) {
+  const data = doc.data();
+  const provider = getTrackingProvider(data.provider);
+  return {
+    id: doc.id,
+    ...data,
+    providerLabel: provider.label,
+    trackingUrl: provider.trackingUrl(data.consignmentNumber),
+    lastCheckedAt: data.lastCheckedAt?.toDate().toISOString() || null,
+    createdAt: data.createdAt?.toDate().toISOString() || null
+  };
+}
+
+// Ask the courier for the latest events and store them on the consignment
+async function refreshConsignment(docRef, data) {
+  const provider = getTrackingProvider(data.provider);
+  let update;
+  try {
+    const result = await provider.track(data.consignmentNumber);
+    update = {
+      status: result.status,
+      delivered: result.delivered,
+      exception: Boolean(result.exception),
+      events: result.events,
+      trackingError: null
+    };
+  } catch (error) {
+    // Keep the consignment and its last known events, but say why they may be out of date
+    if (error instanceof TrackingError) {
+      console.warn(`Tracking ${data.consignmentNumber} failed:`, error.message);
+      // A consignment the courier doesn't know about needs chasing too
+      update = { trackingError: error.message, ...(error.statusCode === 404 ? { exception: true } : {}) };
+    } else {
+      console.error(`Error tracking ${data.consignmentNumber}:`, error);
+      update = { trackingError: 'Tracking is unavailable right now. Please try again later.' };
+    }
+  }
+
+  await docRef.update({ ...update, lastCheckedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return docRef.get();
+}
+
+// One-word summary of an invoice's consignments: none, in_transit, delivered or exception
+function toDispatchState(consignments) {
+  if (consignments.length === 0) return 'none';
+  if (consignments.some(consignment => consignment.exception)) return 'exception';
+  return consignments.every(consignment => consignment.delivered) ? 'delivered' : 'in_transit';
+}
+
+// Store the summary in dispatch_status/{invoiceId}
+async function updateDispatchStatus(tenantId, invoiceId) {
+  const snapshot = await db.collection(CONSIGNMENTS_COLLECTION)
+    .where('invoiceId', '==', invoiceId)
+    .where('tenantId', '==', tenantId)
+    .get();
+  const consignments = snapshot.docs.map(doc => doc.data());
+  const docRef = db.collection(DISPATCH_STATUS_COLLECTION).doc(invoiceId);
+  const state = toDispatchState(consignments);
+
+  if (state === 'none') {
+    await docRef.delete();
+    return state;
+  }
+
+  await docRef.set({
+    tenantId,
+    state,
+    consignmentCount: consignments.length,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return state;
+}
+
+function isStale(data) {
+  if (data.delivered) return false;
+  const lastCheckedAt = data.lastCheckedAt?.toMillis() || 0;
+  return Date.now() - lastCheckedAt > TRACKING_REFRESH_MS;
+}
+
+exports.handler = async function(event, context) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Xero-Tenant-Id',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: corsHeaders };
+  }
+
+  const jsonResponse = (statusCode, body) => ({
+    statusCode,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    if (!db) {
+      throw new Error('Firestore is not initialized');
+    }
+
+    // Courier lookups cost money - only for signed-in users of a connected organisation
+    const session = await getSession(event);
+    const tenantId = event.headers['xero-tenant-id'];
+
+    if (!session || !tenantId) {
+      return jsonResponse(401, { error: 'Missing authentication details' });
+    }
+    if (!session.tenants.some(tenant => tenant.tenantId === tenantId)) {
+      return jsonResponse(403, {
+        error: 'Forbidden',
+        message: 'This Xero organisation is not connected. Please reconnect to Xero.'
+      });
+    }
+
+    if (event.httpMethod === 'GET') {
+      const { invoiceId, refresh } = event.queryStringParameters || {};
+      if (!invoiceId) {
+        return jsonResponse(400, { error: 'Bad Request', message: 'invoiceId is required' });
+      }
+
+      const snapshot = await db.collection(CONSIGNMENTS_COLLECTION)
+        .where('invoiceId', '==', invoiceId)
+        .where('tenantId', '==', tenantId)
+        .get();
+
+      const toRefresh = snapshot.docs.filter(doc => refresh === '1' || isStale(doc.data()));
+      const docs = await Promise.all(snapshot.docs.map(doc =>
+        toRefresh.includes(doc) ? refreshConsignment(doc.ref, doc.data()) : doc));
+      if (toRefresh.length > 0) {
+        await updateDispatchStatus(tenantId, invoiceId);
+      }
+
+      const consignments = docs.map(toConsignmentResponse)
+        .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+
+      console.log(`Returning ${consignments.length} consignments for invoice ${invoiceId}`);
+      return jsonResponse(200, { consignments, dispatchStatus: toDispatchState(consignments) });
+    }
+
+    if (event.httpMethod === 'POST') {
+      const { invoiceId, invoiceNumber, consignmentNumber } = JSON.parse(event.body || '{}');
+      const number = String(consignmentNumber || '').trim().toUpperCase();
+      if (!invoiceId || !/^[A-Z0-9-]{4,40}$/.test(number)) {
+        return jsonResponse(400, {
+          error: 'Bad Request',
+          message: 'invoiceId and a consignment number (letters, digits and dashes) are required'
+        });
+      }
+
+      const existing = await db.collection(CONSIGNMENTS_COLLECTION)
+        .where('tenantId', '==', tenantId)
+        .where('invoiceId', '==', invoiceId)
+        .where('consignmentNumber', '==', number)
+        .limit(1)
+        .get();
+      if (!existing.empty) {
+        return jsonResponse(409, { error: 'Conflict', message: `Consignment ${number} is already on this invoice` });
+      }
+
+      const provider = getTrackingProvider();
+      const data = {
+        invoiceId,
+        invoiceNumber: invoiceNumber || null,
+        tenantId,
+        consignmentNumber: number,
+        provider: provider.name,
+        status: null,
+        delivered: false,
+        exception: false,
+        events: [],
+        trackingError: null,
+        lastCheckedAt: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      const docRef = await db.collection(CONSIGNMENTS_COLLECTION).add(data);
+      console.log(`Added ${provider.name} consignment ${number} to invoice ${invoiceId}`);
+
+      const doc = await refreshConsignment(docRef, data);
+      const dispatchStatus = await updateDispatchStatus(tenantId, invoiceId);
+      return jsonResponse(201, { consignment: toConsignmentResponse(doc), dispatchStatus });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      const consignmentId = (event.path.split('/tracking/')[1] || '').split('/')[0];
+      if (!consignmentId) {
+        return jsonResponse(400, { error: 'Bad Request', message: 'Missing consignment ID' });
+      }
+
+      const docRef = db.collection(CONSIGNMENTS_COLLECTION).doc(consignmentId);
+      const doc = await docRef.get();
+      if (!doc.exists || doc.data().tenantId !== tenantId) {
+        return jsonResponse(404, { error: 'Not Found', message: 'Consignment not found' });
+      }
+
+      await docRef.delete();
+      console.log(`Removed consignment ${doc.data().consignmentNumber} from invoice ${doc.data().invoiceId}`);
+      const dispatchStatus = await updateDispatchStatus(tenantId, doc.data().invoiceId);
+      return jsonResponse(200, { success: true, dispatchStatus });
+    }
+
+    return jsonResponse(405, { error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Error in tracking function:', error);
+    return jsonResponse(500, { error: 'Server error', message: error.message });
+  }
+};
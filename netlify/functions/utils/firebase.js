@@ -0,0 +1,63 @@
+// netlify/functions/utils/firebase.js
+// Shared Firebase admin initialisation for every function that talks to Firestore.
+const admin = require('firebase-admin');
+
+// Initialize Firebase admin (only once)
+// --- Make sure your Netlify environment variables are set: ---
+// FIREBASE_PROJECT_ID
+// FIREBASE_CLIENT_EMAIL
+// FIREBASE_PRIVATE_KEY
+// FIREBASE_STORAGE_BUCKET (for uploaded files, e.g. my-project.appspot.com; set
+// FIREBASE_STORAGE_EMULATOR_HOST=127.0.0.1:9199 to use the Storage emulator in dev)
+let firebaseAppInitialized = false;
+if (admin.apps.length === 0) { // Check if already initialized
+    console.log('Attempting to initialize Firebase admin...');
+    console.log('Using Project ID:', process.env.FIREBASE_PROJECT_ID ? 'Exists' : 'MISSING!');
+    console.log('Using Client Email:', process.env.FIREBASE_CLIENT_EMAIL ? 'Exists' : 'MISSING!');
+    console.log('Using Private Key:', process.env.FIREBASE_PRIVATE_KEY ? 'Exists' : 'MISSING!');
+
+    if (!process.env.FIREBASE_PROJECT_ID || !process.env.FIREBASE_CLIENT_EMAIL || !process.env.FIREBASE_PRIVATE_KEY) {
+        console.error("FIREBASE ENVIRONMENT VARIABLES ARE MISSING!");
+        // Optionally throw an error or handle this case if needed,
+        // but logging is essential for debugging deployment.
+    } else {
+        try {
+            admin.initializeApp({
+                credential: admin.credential.cert({
+                    projectId: process.env.FIREBASE_PROJECT_ID,
+                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                    // Replace escaped newlines in the private key from environment variable
+                    privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+                }),
+                storageBucket: process.env.FIREBASE_STORAGE_BUCKET
+            });
+            firebaseAppInitialized = true;
+            console.log('Firebase admin initialized successfully.');
+        } catch (error) {
+            console.error('CRITICAL: Error initializing Firebase admin:', error);
+            // Depending on your needs, you might want to prevent the app from proceeding
+        }
+    }
+} else {
+    firebaseAppInitialized = true; // Already initialized
+    console.log('Firebase admin was already initialized.');
+}
+
+// Get database reference (only if initialized)
+const db = firebaseAppInitialized ? admin.firestore() : null;
+
+/**
+ * The Firebase Storage bucket for uploaded files.
+ * @returns {object} @google-cloud/storage Bucket.
+ */
+function getStorageBucket() {
+    if (!firebaseAppInitialized) {
+        throw new Error('Firebase is not initialized');
+    }
+    if (!process.env.FIREBASE_STORAGE_BUCKET) {
+        throw new Error('Missing FIREBASE_STORAGE_BUCKET environment variable');
+    }
+    return admin.storage().bucket();
+}
+
+module.exports = { admin, db, getStorageBucket };
@@ -0,0 +1,149 @@
+// netlify/functions/utils/ics.js
+// Minimal iCalendar (RFC 5545) reader for importing public-holiday calendars.
+//
+// Supports what holiday feeds use: all-day or timed VEVENTs, multi-day events (DTEND is
+// exclusive for all-day events, and for timed events ending at midnight) and FREQ=YEARLY recurrence (with COUNT/UNTIL). Other
+// recurrence rules only contribute their first occurrence.
+
+// Longest single event we expand into individual days (guards against malformed feeds)
+const MAX_EVENT_DAYS = 60;
+
+// Join folded lines (continuations start with a space or tab)
+function unfoldLines(text) {
+  return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+// "DTSTART;VALUE=DATE:20261225" -> { name: 'DTSTART', params: { VALUE: 'DATE' }, value: '20261225' }
+function parseContentLine(line) {
+  const separator = line.indexOf(':');
+  if (separator === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, separator).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, value] = part.split('=');
+    if (key) params[key.toUpperCase()] = value;
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+}
+
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+// 20261225 or 20261225T090000(Z) -> Date at UTC midnight of that calendar day
+function parseIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function toDateKey(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+function parseRrule(value) {
+  const rule = {};
+  (value || '').split(';').forEach(part => {
+    const [key, ruleValue] = part.split('=');
+    if (key) rule[key.toUpperCase()] = ruleValue;
+  });
+  return rule;
+}
+
+// Start dates of an event within [rangeStart, rangeEnd]
+function getOccurrenceStarts(start, rrule, rangeStart, rangeEnd) {
+  const rule = parseRrule(rrule);
+  if (rule.FREQ !== 'YEARLY') {
+    return [start];
+  }
+
+  const until = rule.UNTIL ? parseIcsDate(rule.UNTIL) : null;
+  const count = rule.COUNT ? Number(rule.COUNT) : Infinity;
+  const interval = Number(rule.INTERVAL) || 1;
+  const starts = [];
+
+  for (let i = 0; i < count; i++) {
+    const occurrence = new Date(start);
+    occurrence.setUTCFullYear(start.getUTCFullYear() + i * interval);
+    if (occurrence > rangeEnd || (until && occurrence > until)) break;
+    if (occurrence >= rangeStart) starts.push(occurrence);
+  }
+  return starts;
+}
+
+/**
+ * Extracts holiday days from an iCalendar file.
+ * @param {string} text - Contents of an .ics file.
+ * @param {object} [options]
+ * @param {Date} [options.rangeStart] - Ignore days before this (default: 1 Jan last year).
+ * @param {Date} [options.rangeEnd] - Ignore days after this and stop expanding yearly events (default: 31 Dec in 2 years).
+ * @returns {Array<{date: string, name: string}>} One entry per day (YYYY-MM-DD), sorted by date.
+ * @throws {Error} If the text is not an iCalendar file.
+ */
+function parseHolidayCalendar(text, options = {}) {
+  if (!/BEGIN:VCALENDAR/i.test(text || '')) {
+    throw new Error('Not an iCalendar (.ics) file');
+  }
+
+  const thisYear = new Date().getUTCFullYear();
+  const rangeStart = options.rangeStart || new Date(Date.UTC(thisYear - 1, 0, 1));
+  const rangeEnd = options.rangeEnd || new Date(Date.UTC(thisYear + 2, 11, 31));
+
+  const holidays = new Map();
+  let current = null;
+
+  unfoldLines(text).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (/^BEGIN:VEVENT$/i.test(line)) {
+      current = {};
+      return;
+    }
+
+    if (/^END:VEVENT$/i.test(line)) {
+      const start = parseIcsDate(current && current.DTSTART && current.DTSTART.value);
+      if (start) {
+        const isAllDay = current.DTSTART.params.VALUE === 'DATE' || !/T/.test(current.DTSTART.value);
+        const end = parseIcsDate(current.DTEND && current.DTEND.value);
+        // All-day DTEND is exclusive; a timed event covers the days it touches, except the day
+        // it ends on when that's exactly midnight (e.g. 20261225T000000 - 20261226T000000)
+        const endsAtMidnight = /T000000/.test(current.DTEND ? current.DTEND.value : '');
+        const lengthDays = end
+          ? Math.max(1, Math.round((end - start) / 86400000) + (isAllDay || endsAtMidnight ? 0 : 1))
+          : 1;
+        const name = current.SUMMARY ? unescapeText(current.SUMMARY.value) : 'Holiday';
+
+        getOccurrenceStarts(start, current.RRULE && current.RRULE.value, rangeStart, rangeEnd).forEach(occurrence => {
+          for (let day = 0; day < Math.min(lengthDays, MAX_EVENT_DAYS); day++) {
+            const date = addDays(occurrence, day);
+            if (date >= rangeStart && date <= rangeEnd && !holidays.has(toDateKey(date))) {
+              holidays.set(toDateKey(date), name);
+            }
+          }
+        });
+      }
+      current = null;
+      return;
+    }
+
+    if (current) {
+      const property = parseContentLine(line);
+      if (property && !current[property.name]) current[property.name] = property;
+    }
+  });
+
+  return Array.from(holidays, ([date, name]) => ({ date, name })).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = { parseHolidayCalendar };
@@ -0,0 +1,257 @@
+// netlify/functions/utils/invoice-mirror.js
+// Firestore mirror of each organisation's ACCREC invoices.
+//
+// `invoices/{tenantId}_{InvoiceID}` holds the raw Xero invoice (`data`) plus a few
+// indexed fields used for querying. `invoice_sync/{tenantId}` remembers how far the
+// sync has got, so a pass can be resumed across function calls and later passes only
+// ask Xero for what changed (If-Modified-Since).
+//
+// Querying needs these composite indexes on invoices (Firestore logs a link to create each one
+// the first time a query needs it):
+//   tenantId ASC, dateTs DESC                                  - any query
+//   tenantId ASC, status ASC, dateTs DESC                      - status filter
+//   tenantId ASC, contactId ASC, dateTs DESC                   - one customer's invoices
+//   tenantId ASC, contactId ASC, status ASC, dateTs DESC       - both
+const { admin, db } = require('./firebase');
+
+const INVOICES_COLLECTION = 'invoices';
+const SYNC_COLLECTION = 'invoice_sync';
+// Documents read per round while filling a page with text or total filters (only the fields the
+// filters need); without them a round reads just what the page still needs
+const SCAN_BATCH_SIZE = 500;
+
+function ensureDb() {
+  if (!db) {
+    throw new Error('Invoice mirror unavailable: Firestore is not initialized');
+  }
+}
+
+/**
+ * Parses Xero's date formats: "/Date(1700000000000+0000)/" or an ISO string.
+ * @param {string} value - Date value from a Xero payload.
+ * @returns {Date|null}
+ */
+function parseXeroDate(value) {
+  if (!value) return null;
+  const msDateMatch = /\/Date\((-?\d+)([+-]\d{4})?\)\//.exec(value);
+  const date = msDateMatch ? new Date(Number(msDateMatch[1])) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Lower-cased text the mirror search matches against (same fields the live search used)
+function toSearchText(invoice) {
+  return [invoice.InvoiceNumber, invoice.Reference, invoice.Contact && invoice.Contact.Name]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+}
+
+function mirrorDocId(tenantId, invoiceId) {
+  return `${tenantId}_${invoiceId}`;
+}
+
+/**
+ * Upserts a batch of Xero invoices (at most 500, one Firestore batch).
+ * @param {string} tenantId - Xero organisation the invoices belong to.
+ * @param {Array<object>} invoices - Invoices as returned by the Xero API.
+ */
+async function saveInvoices(tenantId, invoices) {
+  ensureDb();
+  if (invoices.length === 0) return;
+
+  const batch = db.batch();
+  invoices.forEach(invoice => {
+    const invoiceDate = parseXeroDate(invoice.DateString || invoice.Date);
+    const updatedDate = parseXeroDate(invoice.UpdatedDateUTC);
+
+    batch.set(db.collection(INVOICES_COLLECTION).doc(mirrorDocId(tenantId, invoice.InvoiceID)), {
+      tenantId,
+      invoiceId: invoice.InvoiceID,
+      invoiceNumber: invoice.InvoiceNumber || null,
+      contactId: (invoice.Contact && invoice.Contact.ContactID) || null,
+      status: invoice.Status || null,
+      dateTs: invoiceDate ? admin.firestore.Timestamp.fromDate(invoiceDate) : null,
+      updatedDateUtc: updatedDate ? admin.firestore.Timestamp.fromDate(updatedDate) : null,
+      searchText: toSearchText(invoice),
+      data: invoice,
+      syncedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+  await batch.commit();
+}
+
+/**
+ * Reads the sync state for an organisation.
+ * @param {string} tenantId - Xero organisation ID.
+ * @returns {Promise<object>} { modifiedSince, passStartedAt, nextPage, fullSyncComplete, lastSyncedAt } ({} if never synced).
+ */
+async function getSyncState(tenantId) {
+  ensureDb();
+  const doc = await db.collection(SYNC_COLLECTION).doc(tenantId).get();
+  return doc.exists ? doc.data() : {};
+}
+
+async function saveSyncState(tenantId, state) {
+  ensureDb();
+  await db.collection(SYNC_COLLECTION).doc(tenantId).set({
+    ...state,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+}
+
+function compareTotal(total, op, value) {
+  switch (op) {
+    case '>': return total > value;
+    case '>=': return total >= value;
+    case '<': return total < value;
+    case '<=': return total <= value;
+    default: return total === value;
+  }
+}
+
+/**
+ * Parses a total filter such as ">500" or "<=1000".
+ * @param {string} expression - Comparison operator followed by a number.
+ * @returns {{op: string, value: number}|null} null if the expression is invalid.
+ */
+function parseTotalFilter(expression) {
+  const match = /^(>=|<=|>|<|=)(-?\d+(?:\.\d+)?)$/.exec(expression.trim());
+  return match ? { op: match[1], value: Number(match[2]) } : null;
+}
+
+// Cursors are "<seconds>.<nanoseconds>_<docId>" of the last invoice looked at (no date part for
+// an invoice without a date): pages follow (dateTs, document ID), so invoices sharing a date
+// aren't skipped or repeated.
+function toInvoiceCursor(doc) {
+  const dateTs = doc.get('dateTs');
+  return `${dateTs ? `${dateTs.seconds}.${String(dateTs.nanoseconds).padStart(9, '0')}` : ''}_${doc.id}`;
+}
+
+/**
+ * Parses a cursor from toInvoiceCursor.
+ * @param {string} value
+ * @returns {{dateTs: admin.firestore.Timestamp|null, docId: string}|null} null if the cursor is invalid.
+ */
+function parseInvoiceCursor(value) {
+  const match = /^(?:(\d+)\.(\d{9}))?_(.+)$/.exec(value || '');
+  if (!match) return null;
+  return {
+    dateTs: match[1] ? new admin.firestore.Timestamp(Number(match[1]), Number(match[2])) : null,
+    docId: match[3]
+  };
+}
+
+/**
+ * Queries the mirror, newest invoice first.
+ * Status, customer and date filters run in Firestore (see the indexes above). The text and total
+ * filters are applied to a lightweight field-only scan that stops once the page is full; only the
+ * page of full invoices is then loaded.
+ * @param {string} tenantId - Xero organisation ID.
+ * @param {object} [options]
+ * @param {string} [options.q] - Case-insensitive text matched against number, reference and contact name.
+ * @param {string} [options.customer] - Case-insensitive text matched against the contact name only.
+ * @param {string} [options.ref] - Case-insensitive text matched against the reference only.
+ * @param {string} [options.contactId] - Only invoices for this Xero ContactID.
+ * @param {string[]} [options.statuses] - Only these Xero statuses (e.g. ['AUTHORISED']), at most 30.
+ * @param {Array<{op: string, value: number}>} [options.totals] - Total comparisons, op one of > >= < <= =.
+ * @param {Date} [options.from] - Invoice date lower bound (inclusive).
+ * @param {Date} [options.to] - Invoice date upper bound (inclusive).
+ * @param {{dateTs: object|null, docId: string}} [options.cursor] - From parseInvoiceCursor; omit for the first page.
+ * @param {number} [options.pageSize=100]
+ * @returns {Promise<{invoices: Array<object>, hasMore: boolean, nextCursor: string|null}>} Pass
+ *          nextCursor back for the next page.
+ */
+async function queryInvoices(tenantId, options = {}) {
+  ensureDb();
+  const { q, customer, ref, contactId, statuses, totals, from, to, cursor, pageSize = 100 } = options;
+
+  let query = db.collection(INVOICES_COLLECTION).where('tenantId', '==', tenantId);
+  if (contactId) query = query.where('contactId', '==', contactId);
+  if (statuses && statuses.length > 0) query = query.where('status', 'in', statuses);
+  if (from) query = query.where('dateTs', '>=', admin.firestore.Timestamp.fromDate(from));
+  if (to) query = query.where('dateTs', '<=', admin.firestore.Timestamp.fromDate(to));
+  query = query.orderBy('dateTs', 'desc')
+    .orderBy(admin.firestore.FieldPath.documentId(), 'desc')
+    .select('dateTs', 'status', 'searchText', 'data.Contact.Name', 'data.Reference', 'data.Total');
+
+  const searchTerm = q ? q.trim().toLowerCase() : '';
+  const customerTerm = customer ? customer.trim().toLowerCase() : '';
+  const refTerm = ref ? ref.trim().toLowerCase() : '';
+  const filtersInMemory = Boolean(searchTerm || customerTerm || refTerm || (totals && totals.length > 0));
+  const matchesFilters = doc => {
+    const { status, searchText, data = {} } = doc.data();
+    // Xero doesn't list deleted invoices unless asked for them
+    if (status === 'DELETED' && !(statuses && statuses.includes('DELETED'))) return false;
+    if (searchTerm && !(searchText || '').includes(searchTerm)) return false;
+    if (customerTerm && !((data.Contact && data.Contact.Name) || '').toLowerCase().includes(customerTerm)) return false;
+    if (refTerm && !(data.Reference || '').toLowerCase().includes(refTerm)) return false;
+    return (totals || []).every(({ op, value }) => compareTotal(Number(data.Total) || 0, op, value));
+  };
+
+  const matches = [];
+  let position = cursor || null;
+  let lastDoc = null;
+  let exhausted = false;
+
+  while (matches.length < pageSize && !exhausted) {
+    const batchSize = filtersInMemory ? SCAN_BATCH_SIZE : pageSize - matches.length;
+    const batchQuery = query.limit(batchSize);
+    const snapshot = await (position ? batchQuery.startAfter(position.dateTs, position.docId) : batchQuery).get();
+
+    for (const doc of snapshot.docs) {
+      lastDoc = doc;
+      if (matchesFilters(doc)) matches.push(doc);
+      if (matches.length === pageSize) break;
+    }
+    // A short batch that was read to its end is the end of the results
+    exhausted = snapshot.size < batchSize && (snapshot.empty || lastDoc === snapshot.docs[snapshot.size - 1]);
+    if (lastDoc) position = { dateTs: lastDoc.get('dateTs') || null, docId: lastDoc.id };
+  }
+
+  const pageDocs = matches.length > 0 ? await db.getAll(...matches.map(doc => doc.ref)) : [];
+
+  return {
+    invoices: pageDocs.filter(doc => doc.exists).map(doc => doc.data().data),
+    hasMore: !exhausted,
+    nextCursor: exhausted || !lastDoc ? null : toInvoiceCursor(lastDoc)
+  };
+}
+
+/**
+ * Looks up the number, status and customer of mirrored invoices, e.g. to label records linked to them.
+ * @param {string} tenantId - Xero organisation ID.
+ * @param {Array<string>} invoiceIds - InvoiceIDs (duplicates are fine).
+ * @returns {Promise<Map<string, {invoiceNumber: string|null, invoiceStatus: string|null, contactName: string|null}>>}
+ *          Keyed by InvoiceID; invoices not in the mirror are left out.
+ */
+async function getInvoiceSummaries(tenantId, invoiceIds) {
+  ensureDb();
+  const summaries = new Map();
+  const uniqueIds = [...new Set(invoiceIds)];
+  if (uniqueIds.length === 0) return summaries;
+
+  const docs = await db.getAll(
+    ...uniqueIds.map(invoiceId => db.collection(INVOICES_COLLECTION).doc(mirrorDocId(tenantId, invoiceId))),
+    { fieldMask: ['invoiceId', 'invoiceNumber', 'status', 'data.Contact.Name'] }
+  );
+  docs.filter(doc => doc.exists).forEach(doc => {
+    const data = doc.data();
+    summaries.set(data.invoiceId, {
+      invoiceNumber: data.invoiceNumber || null,
+      invoiceStatus: data.status || null,
+      contactName: (data.data && data.data.Contact && data.data.Contact.Name) || null
+    });
+  });
+  return summaries;
+}
+
+module.exports = {
+  parseXeroDate,
+  saveInvoices,
+  getSyncState,
+  saveSyncState,
+  queryInvoices,
+  parseInvoiceCursor,
+  getInvoiceSummaries,
+  parseTotalFilter
+};
@@ -0,0 +1,120 @@
+// netlify/functions/utils/lab-form-storage/dropbox.js
+// Lab forms in the lab's Dropbox folder (the default). Files are found with the Dropbox search API
+// and opened through temporary links, so the function doesn't have to pass the scans through.
+//
+// --- Netlify environment variables: ---
+// DROPBOX_REFRESH_TOKEN, DROPBOX_APP_KEY, DROPBOX_APP_SECRET - long-lived app credentials (preferred)
+// DROPBOX_ACCESS_TOKEN    - alternatively a fixed access token (short-lived tokens expire after 4 hours)
+// DROPBOX_LAB_FORMS_PATH (optional) - folder with the scans; defaults to /TTL Prescription copies
+const fetch = require('node-fetch');
+const { caseNumberFor } = require('./lab-form-files');
+
+const DROPBOX_API_URL = 'https://api.dropboxapi.com';
+const DEFAULT_LAB_FORMS_PATH = '/TTL Prescription copies';
+
+// Access token from the refresh token, reused while this function instance is warm
+let cachedAccessToken = null;
+
+function labFormsPath() {
+  return (process.env.DROPBOX_LAB_FORMS_PATH || DEFAULT_LAB_FORMS_PATH).replace(/\/+$/, '');
+}
+
+async function getAccessToken() {
+  const { DROPBOX_REFRESH_TOKEN, DROPBOX_APP_KEY, DROPBOX_APP_SECRET, DROPBOX_ACCESS_TOKEN } = process.env;
+
+  if (!DROPBOX_REFRESH_TOKEN) {
+    if (!DROPBOX_ACCESS_TOKEN) {
+      throw new Error('Missing DROPBOX_REFRESH_TOKEN (with DROPBOX_APP_KEY and DROPBOX_APP_SECRET) or DROPBOX_ACCESS_TOKEN environment variable');
+    }
+    return DROPBOX_ACCESS_TOKEN;
+  }
+
+  // Renew a minute early so a request doesn't start with a token about to expire
+  if (cachedAccessToken && cachedAccessToken.expiresAt > Date.now() + 60 * 1000) {
+    return cachedAccessToken.token;
+  }
+
+  const response = await fetch(`${DROPBOX_API_URL}/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${Buffer.from(`${DROPBOX_APP_KEY}:${DROPBOX_APP_SECRET}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ grant_type: 'refresh_token', refresh_token: DROPBOX_REFRESH_TOKEN }).toString()
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('Dropbox token refresh failed:', response.status, errorText);
+    throw new Error(`Dropbox token refresh failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  cachedAccessToken = { token: data.access_token, expiresAt: Date.now() + data.expires_in * 1000 };
+  return cachedAccessToken.token;
+}
+
+// POST to a Dropbox RPC endpoint; resolves to null for a path that doesn't exist
+async function dropboxRequest(endpoint, body) {
+  const response = await fetch(`${DROPBOX_API_URL}/2/${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${await getAccessToken()}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (response.status === 409) {
+    // Dropbox reports "not found" (and other per-path problems) as 409 with an error summary
+    const errorData = await response.json().catch(() => ({}));
+    if ((errorData.error_summary || '').includes('not_found')) return null;
+    throw new Error(`Dropbox ${endpoint} failed: ${errorData.error_summary || response.status}`);
+  }
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`Dropbox ${endpoint} error:`, response.status, errorText);
+    throw new Error(`Dropbox ${endpoint} failed: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+async function list(caseNumber) {
+  const data = await dropboxRequest('files/search_v2', {
+    query: caseNumber,
+    options: { path: labFormsPath(), filename_only: true, file_status: 'active', max_results: 100 }
+  });
+  if (!data) {
+    console.warn(`Dropbox folder ${labFormsPath()} does not exist`);
+    return [];
+  }
+
+  // Search is fuzzy - keep only the files that really are this case's lab forms
+  return (data.matches || [])
+    .map(match => match.metadata && match.metadata.metadata)
+    .filter(metadata => metadata && metadata['.tag'] === 'file' && caseNumberFor(metadata.name) === caseNumber)
+    .map(metadata => ({
+      name: metadata.name,
+      size: metadata.size,
+      modifiedAt: metadata.server_modified
+    }));
+}
+
+async function read(name) {
+  const link = await temporaryUrl(name);
+  if (!link) return null;
+
+  const response = await fetch(link);
+  if (!response.ok) {
+    throw new Error(`Dropbox download of ${name} failed: ${response.status}`);
+  }
+  return response.buffer();
+}
+
+async function temporaryUrl(name) {
+  const data = await dropboxRequest('files/get_temporary_link', { path: `${labFormsPath()}/${name}` });
+  return data ? data.link : null;
+}
+
+module.exports = { name: 'dropbox', label: 'Dropbox', list, read, temporaryUrl };
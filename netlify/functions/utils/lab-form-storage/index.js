@@ -0,0 +1,34 @@
+// netlify/functions/utils/lab-form-storage/index.js
+// Where the scanned lab forms (prescriptions) live. Each backend exports:
+//
+//   name                   - e.g. 'dropbox'
+//   label                  - shown in the UI (e.g. 'Dropbox')
+//   list(caseNumber)       - resolves to the case's files: [{ name, size, modifiedAt (ISO string) }]
+//   read(name)             - resolves to a Buffer with the file's contents (null if it doesn't exist)
+//   temporaryUrl(name)     - resolves to a short-lived direct link to the file, or null if the
+//                            backend can't make one (the lab-forms function then serves the file itself)
+//
+// Which files count as a case's lab forms is decided in lab-form-files.js.
+//
+// --- Netlify environment variables: ---
+// LAB_FORM_STORAGE - 'dropbox' (default) or 'local' (a folder on disk, e.g. for netlify dev)
+const dropbox = require('./dropbox');
+const local = require('./local');
+const { contentTypeFor, caseNumberFor } = require('./lab-form-files');
+
+const BACKENDS = { dropbox, local };
+
+/**
+ * The backend selected by LAB_FORM_STORAGE.
+ * @returns {object} Backend module.
+ */
+function getLabFormStorage() {
+  const backendName = process.env.LAB_FORM_STORAGE || 'dropbox';
+  const backend = BACKENDS[backendName];
+  if (!backend) {
+    throw new Error(`Unknown lab form storage "${backendName}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return backend;
+}
+
+module.exports = { getLabFormStorage, contentTypeFor, caseNumberFor };
@@ -0,0 +1,40 @@
+// netlify/functions/utils/lab-form-storage/lab-form-files.js
+// Lab form file names: the six-digit case number, optionally followed by a suffix for extra pages
+// or scans - 123456.jpg, 123456-2.jpg, 123456_page2.pdf, "123456 (1).png".
+const path = require('path');
+
+// Formats the lab scans come in, by extension
+const LAB_FORM_CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  heic: 'image/heic',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  pdf: 'application/pdf'
+};
+
+/**
+ * Content type of a lab form file, or null if it isn't a supported format.
+ * @param {string} name - File name.
+ * @returns {string|null}
+ */
+function contentTypeFor(name) {
+  const extension = path.extname(name || '').slice(1).toLowerCase();
+  return LAB_FORM_CONTENT_TYPES[extension] || null;
+}
+
+/**
+ * The case number a file belongs to, or null if it isn't a lab form (wrong name or format).
+ * @param {string} name - File name (no folders).
+ * @returns {string|null}
+ */
+function caseNumberFor(name) {
+  if (!name || /[\\/]/.test(name) || !contentTypeFor(name)) return null;
+  const match = /^(\d{6})(?:[\s_\-(][^.]*)?\.[a-z]+$/i.exec(name);
+  return match ? match[1] : null;
+}
+
+module.exports = { contentTypeFor, caseNumberFor };
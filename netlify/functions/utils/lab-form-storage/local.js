@@ -0,0 +1,48 @@
+// netlify/functions/utils/lab-form-storage/local.js
+// Lab forms in a folder on disk (LAB_FORM_STORAGE=local) - for netlify dev, or a bucket mounted
+// into the filesystem. Files are served through the lab-forms function.
+//
+// --- Netlify environment variables: ---
+// LAB_FORMS_DIR (optional) - folder with the scans; defaults to ./lab-forms in the working directory
+const fs = require('fs').promises;
+const path = require('path');
+const { caseNumberFor } = require('./lab-form-files');
+
+function labFormsDir() {
+  return path.resolve(process.env.LAB_FORMS_DIR || path.join(process.cwd(), 'lab-forms'));
+}
+
+async function list(caseNumber) {
+  let names;
+  try {
+    names = await fs.readdir(labFormsDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      console.warn(`Lab forms folder ${labFormsDir()} does not exist`);
+      return [];
+    }
+    throw error;
+  }
+
+  const matching = names.filter(name => caseNumberFor(name) === caseNumber);
+  return Promise.all(matching.map(async name => {
+    const stats = await fs.stat(path.join(labFormsDir(), name));
+    return { name, size: stats.size, modifiedAt: stats.mtime.toISOString() };
+  }));
+}
+
+async function read(name) {
+  try {
+    // Names are checked with caseNumberFor before they get here, so they can't leave the folder
+    return await fs.readFile(path.join(labFormsDir(), path.basename(name)));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function temporaryUrl() {
+  return null;
+}
+
+module.exports = { name: 'local', label: 'Local folder', list, read, temporaryUrl };
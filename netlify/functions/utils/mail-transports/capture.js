@@ -0,0 +1,37 @@
+// netlify/functions/utils/mail-transports/capture.js
+// Keeps messages instead of sending them (MAIL_TRANSPORT=capture) - for netlify dev and tests.
+// Each message is written to the capture folder as JSON, and kept in `captured` for the life of
+// the function instance.
+//
+// --- Netlify environment variables: ---
+// MAIL_CAPTURE_DIR (optional) - where messages are written; defaults to mail-capture in the OS temp folder
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const captured = [];
+
+function captureDir() {
+  return path.resolve(process.env.MAIL_CAPTURE_DIR || path.join(os.tmpdir(), 'mail-capture'));
+}
+
+async function send(message) {
+  const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}@capture`;
+  const entry = { messageId, capturedAt: new Date().toISOString(), ...message };
+  captured.push(entry);
+
+  await fs.mkdir(captureDir(), { recursive: true });
+  const file = path.join(captureDir(), `${messageId.replace('@capture', '')}.json`);
+  await fs.writeFile(file, JSON.stringify(entry, null, 2));
+  console.log(`Captured email "${message.subject}" to ${file}`);
+
+  return { messageId };
+}
+
+// Forget the messages captured so far (between tests)
+function clear() {
+  captured.length = 0;
+}
+
+module.exports = { name: 'capture', send, captured, clear };
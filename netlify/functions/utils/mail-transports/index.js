@@ -0,0 +1,41 @@
+// netlify/functions/utils/mail-transports/index.js
+// How outgoing email (the reminder digest) is sent. Each transport exports:
+//
+//   name                 - e.g. 'smtp'
+//   send(message)        - sends { from, to: [addresses], subject, text, html } and resolves to
+//                          { messageId }
+//
+// --- Netlify environment variables: ---
+// MAIL_TRANSPORT - 'smtp' (default) or 'capture' (writes messages to disk instead, for netlify dev and tests)
+// MAIL_FROM      - sender address, e.g. "Invoice Search <accounts@example.com>"
+const smtp = require('./smtp');
+const capture = require('./capture');
+
+const TRANSPORTS = { smtp, capture };
+
+/**
+ * The transport selected by MAIL_TRANSPORT.
+ * @returns {object} Transport module.
+ */
+function getMailTransport() {
+  const transportName = process.env.MAIL_TRANSPORT || 'smtp';
+  const transport = TRANSPORTS[transportName];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${transportName}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return transport;
+}
+
+/**
+ * Sends a message with the configured transport, from MAIL_FROM.
+ * @param {{to: Array<string>, subject: string, text: string, html: string}} message
+ * @returns {Promise<{messageId: string}>}
+ */
+async function sendMail(message) {
+  if (!process.env.MAIL_FROM) {
+    throw new Error('Missing MAIL_FROM environment variable');
+  }
+  return getMailTransport().send({ from: process.env.MAIL_FROM, ...message });
+}
+
+module.exports = { getMailTransport, sendMail };
@@ -0,0 +1,39 @@
+// netlify/functions/utils/mail-transports/smtp.js
+// Email through an SMTP server (MAIL_TRANSPORT=smtp), e.g. the mail provider's relay.
+//
+// --- Netlify environment variables: ---
+// SMTP_HOST
+// SMTP_PORT (optional) - defaults to 587; with 465 the connection is TLS from the start
+// SMTP_USER / SMTP_PASS (optional) - leave unset for relays that don't need a login
+let transporter = null;
+
+// One transporter per function instance (nodemailer is only loaded when SMTP is used)
+function getTransporter() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('Missing SMTP_HOST environment variable');
+  }
+  if (!transporter) {
+    const port = Number(process.env.SMTP_PORT) || 587;
+    const nodemailer = require('nodemailer');
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transporter;
+}
+
+async function send(message) {
+  const info = await getTransporter().sendMail({
+    from: message.from,
+    to: message.to.join(', '),
+    subject: message.subject,
+    text: message.text,
+    html: message.html
+  });
+  return { messageId: info.messageId };
+}
+
+module.exports = { name: 'smtp', send };
@@ -0,0 +1,126 @@
+// netlify/functions/utils/push-notifications.js
+// Web Push notifications to browsers that turned them on (sw.js shows them).
+//
+// `push_subscriptions/{sha256 of the endpoint}` holds a browser's PushSubscription and the
+// organisations (`tenantIds`) it wants reminder notifications for.
+//
+// --- Netlify environment variables: ---
+// VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY - generate once with `npx web-push generate-vapid-keys`
+// VAPID_SUBJECT - contact for the push services, e.g. mailto:accounts@example.com
+const crypto = require('crypto');
+const { admin, db } = require('./firebase');
+
+const SUBSCRIPTIONS_COLLECTION = 'push_subscriptions';
+
+function ensureDb() {
+  if (!db) {
+    throw new Error('Push subscriptions unavailable: Firestore is not initialized');
+  }
+}
+
+function subscriptionDocId(endpoint) {
+  return crypto.createHash('sha256').update(endpoint).digest('hex');
+}
+
+/**
+ * The VAPID public key browsers subscribe with (null if push isn't configured).
+ * @returns {string|null}
+ */
+function getVapidPublicKey() {
+  return process.env.VAPID_PUBLIC_KEY || null;
+}
+
+// web-push is only loaded when something is sent, so the subscription endpoints (and the rest of
+// firebase-api.js) don't depend on it
+let webpush = null;
+function getWebPush() {
+  if (webpush) return webpush;
+  if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY || !process.env.VAPID_SUBJECT) {
+    throw new Error('Missing VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY or VAPID_SUBJECT environment variable');
+  }
+  const client = require('web-push');
+  client.setVapidDetails(process.env.VAPID_SUBJECT, process.env.VAPID_PUBLIC_KEY, process.env.VAPID_PRIVATE_KEY);
+  webpush = client;
+  return webpush;
+}
+
+/**
+ * Stores a browser's subscription for an organisation's reminders.
+ * @param {string} tenantId
+ * @param {{endpoint: string, keys: {p256dh: string, auth: string}}} subscription - PushSubscription JSON.
+ */
+async function saveSubscription(tenantId, subscription) {
+  ensureDb();
+  await db.collection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionDocId(subscription.endpoint)).set({
+    endpoint: subscription.endpoint,
+    keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+    tenantIds: admin.firestore.FieldValue.arrayUnion(tenantId),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+}
+
+/**
+ * Stops notifications for an organisation; the subscription is removed once it has none left.
+ * @param {string} endpoint - Subscription endpoint.
+ * @param {string} [tenantId] - Omit to stop them for every organisation.
+ */
+async function removeSubscription(endpoint, tenantId) {
+  ensureDb();
+  const ref = db.collection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionDocId(endpoint));
+  const doc = await ref.get();
+  if (!doc.exists) return;
+
+  const remaining = tenantId ? (doc.data().tenantIds || []).filter(id => id !== tenantId) : [];
+  if (remaining.length === 0) {
+    await ref.delete();
+  } else {
+    await ref.update({ tenantIds: remaining, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  }
+}
+
+/**
+ * Whether a browser is subscribed to an organisation's reminders.
+ * @param {string} endpoint
+ * @param {string} tenantId
+ * @returns {Promise<boolean>}
+ */
+async function isSubscribed(endpoint, tenantId) {
+  ensureDb();
+  const doc = await db.collection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionDocId(endpoint)).get();
+  return doc.exists && (doc.data().tenantIds || []).includes(tenantId);
+}
+
+/**
+ * Sends a notification to every browser subscribed to an organisation. Subscriptions the push
+ * service reports as gone (the browser unsubscribed or was reset) are deleted.
+ * @param {string} tenantId
+ * @param {{title: string, body: string, url: string}} notification - Shown by sw.js.
+ * @returns {Promise<{sent: number, removed: number}>}
+ */
+async function notifyTenant(tenantId, notification) {
+  ensureDb();
+  const client = getWebPush();
+
+  const snapshot = await db.collection(SUBSCRIPTIONS_COLLECTION).where('tenantIds', 'array-contains', tenantId).get();
+  let sent = 0;
+  let removed = 0;
+
+  for (const doc of snapshot.docs) {
+    const { endpoint, keys } = doc.data();
+    try {
+      await client.sendNotification({ endpoint, keys }, JSON.stringify({ ...notification, tenantId }));
+      sent++;
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await doc.ref.delete();
+        removed++;
+      } else {
+        console.error(`Push to subscription ${doc.id} failed:`, error.statusCode || '', error.message);
+      }
+    }
+  }
+
+  return { sent, removed };
+}
+
+module.exports = { getVapidPublicKey, saveSubscription, removeSubscription, isSubscribed, notifyTenant };
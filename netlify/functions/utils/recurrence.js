@@ -0,0 +1,156 @@
+// netlify/functions/utils/recurrence.js
+// Recurrence rules for reminders, and the due date of the next occurrence.
+//
+// A rule is { frequency: 'daily' | 'weekly' | 'monthly', interval, businessDaysOnly, until, dayOfMonth }:
+// every `interval` days/weeks/months, optionally only on business days (no weekends or the
+// organisation's holidays), and not after `until` (YYYY-MM-DD). Monthly rules keep to `dayOfMonth`
+// (the first due date's). Reminders from before rules existed only have
+// `recurring: 'weekly' | 'monthly'`, which reads as an interval of 1.
+//
+// Dates are calendar days at UTC midnight, the way reminder due dates are stored.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_INTERVAL = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks and cleans up a rule sent by the browser.
+ * @param {object|string|null} input - A rule object, a legacy frequency string, or null/'none'.
+ * @returns {{rule: object|null}|{error: string}} rule is null when the reminder doesn't recur.
+ */
+function normalizeRecurrence(input) {
+  if (!input || input === 'none') return { rule: null };
+
+  const raw = typeof input === 'string' ? { frequency: input } : input;
+  if (!FREQUENCIES.includes(raw.frequency)) {
+    return { error: `Recurrence frequency must be one of ${FREQUENCIES.join(', ')}` };
+  }
+
+  const interval = raw.interval === undefined || raw.interval === null || raw.interval === '' ? 1 : Number(raw.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    return { error: `Recurrence interval must be a whole number from 1 to ${MAX_INTERVAL}` };
+  }
+
+  let until = null;
+  if (raw.until) {
+    // Impossible dates like 2026-02-30 don't come back the same from Date
+    const untilDate = new Date(`${raw.until}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(raw.until) || isNaN(untilDate.getTime()) || toDayString(untilDate) !== raw.until) {
+      return { error: 'Recurrence end date must be a valid date (YYYY-MM-DD)' };
+    }
+    until = raw.until;
+  }
+
+  const dayOfMonth = Number(raw.dayOfMonth);
+  return {
+    rule: {
+      frequency: raw.frequency,
+      interval,
+      businessDaysOnly: Boolean(raw.businessDaysOnly),
+      until,
+      dayOfMonth: raw.frequency === 'monthly' && Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31 ? dayOfMonth : null
+    }
+  };
+}
+
+/**
+ * The rule of a stored reminder (new `recurrence` field, or the legacy `recurring` string).
+ * Monthly rules without a day of the month (legacy ones, or set when editing) keep to the day of
+ * the reminder's scheduled date, so a clamp to a short month doesn't stick (31 -> 28 -> 31).
+ * @param {object} reminder - Reminder document data.
+ * @returns {object|null}
+ */
+function getRecurrence(reminder) {
+  const rule = normalizeRecurrence(reminder.recurrence || reminder.recurring || null).rule || null;
+  if (rule && rule.frequency === 'monthly' && !rule.dayOfMonth) {
+    const anchor = reminder.scheduledDate || reminder.dueDate;
+    const anchorDate = anchor && (typeof anchor.toDate === 'function' ? anchor.toDate() : new Date(anchor));
+    if (anchorDate && !isNaN(anchorDate.getTime())) rule.dayOfMonth = anchorDate.getUTCDate();
+  }
+  return rule;
+}
+
+/**
+ * Human-readable rule, e.g. "every 2 weeks, business days only, until 2026-12-31".
+ * @param {object|null} rule
+ * @returns {string|null}
+ */
+function describeRecurrence(rule) {
+  if (!rule) return null;
+
+  const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+  const simple = { daily: 'daily', weekly: 'weekly', monthly: 'monthly' };
+  const parts = [rule.interval === 1 ? simple[rule.frequency] : `every ${rule.interval} ${units[rule.frequency]}s`];
+  if (rule.businessDaysOnly) parts.push('business days only');
+  if (rule.until) parts.push(`until ${rule.until}`);
+  return parts.join(', ');
+}
+
+function toDayString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function isBusinessDay(date, holidayDates) {
+  const day = date.getUTCDay();
+  return day !== 0 && day !== 6 && !holidayDates.has(toDayString(date));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+// Same day of the month `months` later; the 31st becomes the month's last day where needed
+function addMonths(date, months, dayOfMonth) {
+  const firstOfMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const daysInMonth = new Date(Date.UTC(firstOfMonth.getUTCFullYear(), firstOfMonth.getUTCMonth() + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(firstOfMonth.getUTCFullYear(), firstOfMonth.getUTCMonth(), Math.min(dayOfMonth, daysInMonth)));
+}
+
+// One step of the rule from `date`
+function step(rule, date, anchorDay, holidayDates) {
+  if (rule.frequency === 'monthly') return addMonths(date, rule.interval, anchorDay);
+  if (rule.frequency === 'weekly') return addDays(date, rule.interval * 7);
+
+  if (!rule.businessDaysOnly) return addDays(date, rule.interval);
+  // Every N business days counts business days, not calendar days
+  let next = date;
+  for (let counted = 0; counted < rule.interval;) {
+    next = addDays(next, 1);
+    if (isBusinessDay(next, holidayDates)) counted++;
+  }
+  return next;
+}
+
+/**
+ * The occurrence after the one scheduled for `scheduledDate`. Steps are taken from the schedule,
+ * not from when the reminder was completed (or what it was snoozed to), skipping any that would
+ * already be overdue - a late completion neither shifts the schedule nor leaves a backlog.
+ * @param {object} rule - Normalised rule.
+ * @param {Date} scheduledDate - Date the completed occurrence was scheduled for.
+ * @param {object} [options]
+ * @param {Date} [options.today] - Defaults to now.
+ * @param {Array<string>} [options.holidays] - YYYY-MM-DD dates that aren't business days.
+ * @returns {{scheduledDate: Date, dueDate: Date}|null} The next occurrence's place in the schedule
+ *          and its due date (moved to a business day if needed); null once the rule has ended.
+ */
+function nextOccurrence(rule, scheduledDate, options = {}) {
+  const holidayDates = new Set(options.holidays || []);
+  const today = options.today || new Date();
+  const todayStart = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+  const start = new Date(Date.UTC(scheduledDate.getUTCFullYear(), scheduledDate.getUTCMonth(), scheduledDate.getUTCDate()));
+  const anchorDay = rule.dayOfMonth || start.getUTCDate();
+
+  let next = step(rule, start, anchorDay, holidayDates);
+  while (next < todayStart) next = step(rule, next, anchorDay, holidayDates);
+
+  // Weekly and monthly occurrences landing on a weekend or holiday move to the next business day
+  let dueDate = next;
+  if (rule.businessDaysOnly) {
+    while (!isBusinessDay(dueDate, holidayDates)) dueDate = addDays(dueDate, 1);
+  }
+
+  if (rule.until && toDayString(dueDate) > rule.until) return null;
+  return { scheduledDate: next, dueDate };
+}
+
+module.exports = { normalizeRecurrence, getRecurrence, describeRecurrence, nextOccurrence };
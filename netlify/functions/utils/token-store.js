@@ -0,0 +1,234 @@
+// netlify/functions/utils/token-store.js
+// Server-side vault for Xero OAuth tokens.
+//
+// Tokens never leave the server: they are encrypted (AES-256-GCM) and stored in
+// the Firestore `xero_sessions` collection. The browser only holds an opaque,
+// HttpOnly `xero_session` cookie. The document ID is a SHA-256 hash of that
+// cookie value, so a copy of the database alone cannot be used to hijack a session.
+//
+// --- Required Netlify environment variables: ---
+// TOKEN_ENCRYPTION_KEY  (any long random string, e.g. `openssl rand -hex 32`)
+// XERO_CLIENT_ID / XERO_CLIENT_SECRET
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const cookie = require('cookie');
+const querystring = require('querystring');
+const { admin, db } = require('./firebase');
+
+const SESSION_COOKIE = 'xero_session';
+const SESSION_COLLECTION = 'xero_sessions';
+const SESSION_MAX_AGE = 60 * 24 * 60 * 60; // 60 days, matches Xero's refresh token lifetime
+const XERO_TOKEN_URL = 'https://identity.xero.com/connect/token';
+
+// Derive a 32-byte key from the configured secret
+function getEncryptionKey() {
+  const secret = process.env.TOKEN_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('Missing TOKEN_ENCRYPTION_KEY environment variable');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+// Encrypt a JSON-serialisable value into "iv.tag.ciphertext" (base64 parts)
+function encrypt(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+// Reverse of encrypt(); throws if the payload was tampered with
+function decrypt(payload) {
+  const [iv, tag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+function hashSessionId(sessionId) {
+  return crypto.createHash('sha256').update(sessionId).digest('hex');
+}
+
+function ensureDb() {
+  if (!db) {
+    throw new Error('Token store unavailable: Firestore is not initialized');
+  }
+}
+
+// Normalise a Xero token endpoint response into what we persist
+function toStoredTokens(tokenData, previous = {}) {
+  return {
+    access_token: tokenData.access_token,
+    // Xero rotates refresh tokens, but keep the old one if none was returned
+    refresh_token: tokenData.refresh_token || previous.refresh_token,
+    id_token: tokenData.id_token || previous.id_token || null,
+    expires_at: Date.now() + (tokenData.expires_in * 1000)
+  };
+}
+
+/**
+ * Calls the Xero identity token endpoint with the given grant parameters.
+ * @param {object} params - Form fields, e.g. { grant_type: 'refresh_token', refresh_token }.
+ * @returns {Promise<object>} The raw token response from Xero.
+ */
+async function requestTokens(params) {
+  const clientId = process.env.XERO_CLIENT_ID;
+  const clientSecret = process.env.XERO_CLIENT_SECRET;
+
+  if (!clientId || !clientSecret) {
+    throw new Error('Missing Xero credentials');
+  }
+
+  const tokenResponse = await fetch(XERO_TOKEN_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
+    },
+    body: querystring.stringify(params)
+  });
+
+  if (!tokenResponse.ok) {
+    const errorText = await tokenResponse.text();
+    console.error(`Token request (${params.grant_type}) failed:`, tokenResponse.status, errorText);
+    const error = new Error(`Xero token request failed (${tokenResponse.status})`);
+    error.statusCode = tokenResponse.status;
+    error.details = errorText;
+    throw error;
+  }
+
+  return tokenResponse.json();
+}
+
+/**
+ * Creates a new session holding the given tokens and returns its opaque ID.
+ * @param {object} tokenData - Token response from Xero.
+ * @param {Array<{tenantId: string, tenantName: string}>} tenants - Authorised organisations.
+ * @returns {Promise<{sessionId: string, tokens: object}>}
+ */
+async function createSession(tokenData, tenants = []) {
+  ensureDb();
+  const sessionId = crypto.randomBytes(32).toString('hex');
+  const tokens = toStoredTokens(tokenData);
+
+  await db.collection(SESSION_COLLECTION).doc(hashSessionId(sessionId)).set({
+    tokens: encrypt(tokens),
+    tenants,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return { sessionId, tokens };
+}
+
+/**
+ * Looks up the session referenced by the request's `xero_session` cookie.
+ * @param {object} event - Netlify function event.
+ * @returns {Promise<{id: string, tokens: object, tenants: Array}|null>} null if missing or unreadable.
+ */
+async function getSession(event) {
+  const cookies = cookie.parse(event.headers.cookie || '');
+  const sessionId = cookies[SESSION_COOKIE];
+  if (!sessionId) return null;
+
+  ensureDb();
+  const doc = await db.collection(SESSION_COLLECTION).doc(hashSessionId(sessionId)).get();
+  if (!doc.exists) return null;
+
+  try {
+    const data = doc.data();
+    return {
+      id: sessionId,
+      tokens: decrypt(data.tokens),
+      tenants: data.tenants || []
+    };
+  } catch (error) {
+    // Wrong key or corrupted document - treat as logged out
+    console.error('Failed to decrypt stored session tokens:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Persists updated token data for an existing session.
+ * @param {string} sessionId - Opaque session ID from the cookie.
+ * @param {object} tokens - Tokens in stored form (see toStoredTokens).
+ */
+async function saveTokens(sessionId, tokens) {
+  ensureDb();
+  await db.collection(SESSION_COLLECTION).doc(hashSessionId(sessionId)).update({
+    tokens: encrypt(tokens),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Replaces the list of organisations authorised for a session.
+ * @param {string} sessionId - Opaque session ID from the cookie.
+ * @param {Array<{id: string, tenantId: string, tenantName: string}>} tenants - Current Xero connections.
+ */
+async function saveTenants(sessionId, tenants) {
+  ensureDb();
+  await db.collection(SESSION_COLLECTION).doc(hashSessionId(sessionId)).update({
+    tenants,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Refreshes the session's access token with the refresh_token grant and stores the result.
+ * @param {{id: string, tokens: object}} session - Session returned by getSession.
+ * @returns {Promise<object>} The new stored tokens (session.tokens is updated in place).
+ */
+async function refreshSessionTokens(session) {
+  const tokenData = await requestTokens({
+    grant_type: 'refresh_token',
+    refresh_token: session.tokens.refresh_token
+  });
+  const tokens = toStoredTokens(tokenData, session.tokens);
+  await saveTokens(session.id, tokens);
+  session.tokens = tokens;
+  return tokens;
+}
+
+async function deleteSession(sessionId) {
+  ensureDb();
+  await db.collection(SESSION_COLLECTION).doc(hashSessionId(sessionId)).delete();
+}
+
+// Set-Cookie value for a freshly created session
+function serializeSessionCookie(sessionId) {
+  return cookie.serialize(SESSION_COOKIE, sessionId, {
+    path: '/',
+    secure: true,
+    httpOnly: true,
+    sameSite: 'lax',
+    maxAge: SESSION_MAX_AGE
+  });
+}
+
+// Set-Cookie value that removes the session cookie
+function serializeClearedSessionCookie() {
+  return cookie.serialize(SESSION_COOKIE, '', {
+    path: '/',
+    secure: true,
+    httpOnly: true,
+    sameSite: 'lax',
+    expires: new Date(0)
+  });
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  requestTokens,
+  createSession,
+  getSession,
+  saveTokens,
+  saveTenants,
+  refreshSessionTokens,
+  deleteSession,
+  serializeSessionCookie,
+  serializeClearedSessionCookie
+};
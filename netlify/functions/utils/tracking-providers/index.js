@@ -0,0 +1,36 @@
+// netlify/functions/utils/tracking-providers/index.js
+// Courier tracking providers. Each provider exports:
+//
+//   name                       - stored against the consignment (e.g. 'toll')
+//   label                      - shown in the UI (e.g. 'TOLL Express')
+//   track(consignmentNumber)   - resolves to { status, delivered, exception, events } where events are
+//                                [{ timestamp (ISO string), status, description, location }], newest first
+//                                and exception flags deliveries that need chasing (failed, damaged...)
+//   trackingUrl(consignmentNumber) - public tracking page for the consignment (or null)
+//
+// track() throws a TrackingError for problems worth showing to the user (unknown consignment,
+// courier API down); anything else is treated as a server error.
+//
+// --- Netlify environment variables: ---
+// TRACKING_PROVIDER  - 'toll' (default) or 'mock' for local testing
+const toll = require('./toll');
+const mock = require('./mock');
+const { TrackingError } = require('./tracking-error');
+
+const PROVIDERS = { toll, mock };
+
+/**
+ * The provider selected by TRACKING_PROVIDER.
+ * @param {string} [name] - Use this provider instead (e.g. the one a consignment was stored with).
+ * @returns {object} Provider module.
+ */
+function getTrackingProvider(name) {
+  const providerName = name || process.env.TRACKING_PROVIDER || 'toll';
+  const provider = PROVIDERS[providerName];
+  if (!provider) {
+    throw new Error(`Unknown tracking provider "${providerName}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+module.exports = { getTrackingProvider, TrackingError };
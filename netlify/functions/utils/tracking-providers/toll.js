@@ -0,0 +1,77 @@
+// netlify/functions/utils/tracking-providers/toll.js
+// TOLL Express consignment tracking.
+//
+// --- Required Netlify environment variables: ---
+// TOLL_TRACKING_API_URL - tracking endpoint from the Toll developer account; {consignmentNumber}
+//                         is replaced with the (URL-encoded) consignment number
+// TOLL_API_KEY          - sent as a Bearer token
+// TOLL_PUBLIC_TRACKING_URL (optional) - public tracking page, {consignmentNumber} is replaced;
+//                         used for the "open on Toll" link
+//
+// Responses are normalised here, so only this file changes if the API's shape does.
+const fetch = require('node-fetch');
+const { TrackingError } = require('./tracking-error');
+
+// Statuses that mean the delivery needs chasing
+const EXCEPTION_STATUSES = ['EXCEPTION', 'DELIVERY_FAILED', 'FAILED_DELIVERY', 'CARD_LEFT', 'DAMAGED', 'RETURNED_TO_SENDER', 'ON_HOLD'];
+
+// Toll scan events -> our { timestamp, status, description, location } (null if it has no usable date)
+function normaliseEvent(event) {
+  const date = new Date(event.eventDateTime || event.timestamp || event.date);
+  if (isNaN(date.getTime())) return null;
+
+  const place = event.location && typeof event.location === 'object' ? event.location : event;
+  const location = typeof event.location === 'string'
+    ? event.location
+    : [place.suburb, place.state].filter(Boolean).join(' ') || null;
+
+  return {
+    timestamp: date.toISOString(),
+    status: String(event.status || event.eventCode || 'UPDATE').toUpperCase(),
+    description: event.description || event.statusDescription || event.status || '',
+    location
+  };
+}
+
+async function track(consignmentNumber) {
+  const apiUrl = process.env.TOLL_TRACKING_API_URL;
+  const apiKey = process.env.TOLL_API_KEY;
+  if (!apiUrl || !apiKey) {
+    throw new Error('Missing TOLL_TRACKING_API_URL or TOLL_API_KEY environment variable');
+  }
+
+  const response = await fetch(apiUrl.replace('{consignmentNumber}', encodeURIComponent(consignmentNumber)), {
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Accept': 'application/json'
+    }
+  });
+
+  if (response.status === 404) {
+    throw new TrackingError(`Toll has no record of consignment ${consignmentNumber}`, 404);
+  }
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`Toll tracking API error for ${consignmentNumber}:`, response.status, errorText);
+    throw new TrackingError(`Toll tracking is unavailable right now (${response.status}). Please try again later.`);
+  }
+
+  const data = await response.json();
+  const consignment = Array.isArray(data.consignments) ? data.consignments[0] : data;
+  const rawEvents = consignment.events || consignment.trackingEvents || consignment.scanEvents || [];
+
+  const events = rawEvents
+    .map(normaliseEvent)
+    .filter(Boolean)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+  const status = String(consignment.status || (events[0] && events[0].status) || 'UNKNOWN').toUpperCase();
+  return { status, delivered: status === 'DELIVERED', exception: EXCEPTION_STATUSES.includes(status), events };
+}
+
+function trackingUrl(consignmentNumber) {
+  const publicUrl = process.env.TOLL_PUBLIC_TRACKING_URL;
+  return publicUrl ? publicUrl.replace('{consignmentNumber}', encodeURIComponent(consignmentNumber)) : null;
+}
+
+module.exports = { name: 'toll', label: 'TOLL Express', track, trackingUrl };
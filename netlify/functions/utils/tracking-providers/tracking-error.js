@@ -0,0 +1,11 @@
+// netlify/functions/utils/tracking-providers/tracking-error.js
+// Error with a message that can be shown to the user as-is.
+class TrackingError extends Error {
+  constructor(message, statusCode = 502) {
+    super(message);
+    this.name = 'TrackingError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = { TrackingError };
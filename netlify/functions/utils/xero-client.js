@@ -0,0 +1,141 @@
+// netlify/functions/utils/xero-client.js
+// Server-side helper for calling the Xero API with a vault session.
+// Handles access token expiry: refreshes ahead of time and retries once on a 401.
+// Handles rate limits: on a 429 it waits for Retry-After (plus jitter) and retries.
+const fetch = require('node-fetch');
+const { refreshSessionTokens } = require('./token-store');
+
+// Refresh when the access token has less than this long to live
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// 429 handling - keep the total wait well inside the 10s function timeout
+const MAX_RATE_LIMIT_RETRIES = 3;
+const MAX_RATE_LIMIT_WAIT_MS = 7000;
+
+// Xero's rate limit headers, passed through to callers so the UI can show remaining quota
+const RATE_LIMIT_HEADERS = {
+  'retry-after': 'Retry-After',
+  'x-rate-limit-problem': 'X-Rate-Limit-Problem',
+  'x-minlimit-remaining': 'X-MinLimit-Remaining',
+  'x-daylimit-remaining': 'X-DayLimit-Remaining',
+  'x-appminlimit-remaining': 'X-AppMinLimit-Remaining'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delay before retrying a 429: Retry-After if given, else exponential backoff, plus jitter
+function getRetryDelay(response, attempt) {
+  const retryAfterSeconds = Number(response.headers.get('retry-after'));
+  const baseDelay = retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : 1000 * 2 ** attempt;
+  return baseDelay + Math.floor(Math.random() * 500);
+}
+
+/**
+ * Picks Xero's rate limit headers off a response.
+ * @param {object} response - node-fetch response from Xero.
+ * @returns {object} Header map, e.g. { 'X-MinLimit-Remaining': '57', ... }.
+ */
+function getRateLimitHeaders(response) {
+  const headers = {};
+  Object.entries(RATE_LIMIT_HEADERS).forEach(([name, canonicalName]) => {
+    const value = response.headers.get(name);
+    if (value !== null) headers[canonicalName] = value;
+  });
+  return headers;
+}
+
+/**
+ * Performs a request against the Xero API on behalf of a session.
+ * @param {{id: string, tokens: object}} session - Session from token-store getSession().
+ * @param {string|null} tenantId - Xero tenant to address (Xero-Tenant-Id header); null for
+ *        tenant-less endpoints such as /connections.
+ * @param {string} url - Absolute Xero API URL.
+ * @param {object} [options] - fetch options; `headers` are merged with the auth headers.
+ * @returns {Promise<{response: object, refreshed: boolean}>} The final response, and whether
+ *          the session tokens were rotated while serving it.
+ */
+async function xeroFetch(session, tenantId, url, options = {}) {
+  let refreshed = false;
+
+  // Refresh up front if the token is about to expire
+  if (!session.tokens.expires_at || session.tokens.expires_at - Date.now() < EXPIRY_MARGIN_MS) {
+    console.log('Access token expired or expiring soon, refreshing before request');
+    await refreshSessionTokens(session);
+    refreshed = true;
+  }
+
+  const send = () => fetch(url, {
+    ...options,
+    headers: {
+      'Accept': 'application/json',
+      ...(options.headers || {}),
+      'Authorization': `Bearer ${session.tokens.access_token}`,
+      ...(tenantId ? { 'Xero-Tenant-Id': tenantId } : {})
+    }
+  });
+
+  let response = await send();
+
+  // Token may have been revoked/expired early - refresh and retry exactly once
+  if (response.status === 401 && !refreshed) {
+    console.log('Xero returned 401, refreshing tokens and retrying once');
+    await refreshSessionTokens(session);
+    refreshed = true;
+    response = await send();
+  }
+
+  // Rate limited - back off and retry, unless the daily limit is gone or the wait is too long
+  let waitedMs = 0;
+  for (let attempt = 0; response.status === 429 && attempt < MAX_RATE_LIMIT_RETRIES; attempt++) {
+    const problem = response.headers.get('x-rate-limit-problem');
+    const delay = getRetryDelay(response, attempt);
+
+    if (problem === 'day' || waitedMs + delay > MAX_RATE_LIMIT_WAIT_MS) {
+      console.warn(`Xero rate limit (${problem || 'unknown'}) not retryable here, needs ${delay}ms`);
+      break;
+    }
+
+    console.warn(`Xero rate limit (${problem || 'unknown'}) hit, retrying in ${delay}ms (attempt ${attempt + 1})`);
+    await sleep(delay);
+    waitedMs += delay;
+    response = await send();
+  }
+
+  return { response, refreshed };
+}
+
+/**
+ * Maps an entry from Xero's /connections endpoint to the tenant shape used by the app.
+ * @param {object} connection - Raw connection from https://api.xero.com/connections.
+ * @returns {{id: string, tenantId: string, tenantName: string, tenantType: string}}
+ */
+function toTenant(connection) {
+  return {
+    id: connection.id, // Connection ID - needed for DELETE /connections/{id}
+    tenantId: connection.tenantId,
+    tenantName: connection.tenantName || 'Unnamed Organization',
+    tenantType: connection.tenantType || 'ORGANISATION'
+  };
+}
+
+/**
+ * Collects the messages of a Xero validation error response (HTTP 400, ValidationException).
+ * Errors sit on each element, and on its line items or payments.
+ * @param {object} body - Parsed Xero error body.
+ * @returns {string[]} Messages, e.g. ["Account code '999' is not a valid code for this document."].
+ */
+function getValidationErrors(body) {
+  const messages = [];
+  const collect = item => (item && item.ValidationErrors || []).forEach(error => messages.push(error.Message));
+
+  ((body && body.Elements) || []).forEach(element => {
+    collect(element);
+    (element.LineItems || []).forEach(collect);
+    (element.Payments || []).forEach(collect);
+    collect(element.Invoice);
+  });
+  if (messages.length === 0 && body && body.Message) messages.push(body.Message);
+  return [...new Set(messages)];
+}
+
+module.exports = { xeroFetch, getRateLimitHeaders, getValidationErrors, toTenant, RATE_LIMIT_HEADERS };
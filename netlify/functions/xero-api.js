@@ -1,11 +1,17 @@
 // netlify/functions/xero-api.js
-const fetch = require('node-fetch');
+const { getSession } = require('./utils/token-store');
+const { xeroFetch, getRateLimitHeaders, RATE_LIMIT_HEADERS } = require('./utils/xero-client');
+
+// Accept types passed through to Xero for file downloads (attachments, invoice PDFs).
+// Anything else gets JSON - Xero answers */* with XML.
+const BINARY_ACCEPT_TYPES = /^(application\/pdf|application\/octet-stream|image\/[\w.+-]+)$/;
 
 exports.handler = async function(event, context) {
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, Xero-Tenant-Id',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    'Access-Control-Allow-Headers': 'Content-Type, Xero-Tenant-Id',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Expose-Headers': ['X-Xero-Token-Refreshed', 'X-Xero-Session-Expires-At', ...Object.values(RATE_LIMIT_HEADERS)].join(', ')
   };
 
   // Handle preflight CORS
@@ -16,6 +22,15 @@ exports.handler = async function(event, context) {
     };
   }
 
+  // Read-only: changes to Xero go through invoice-actions.js, which checks them first
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers: corsHeaders,
+      body: JSON.stringify({ error: 'Method not allowed', message: 'Use /api/invoice-actions to change invoices' })
+    };
+  }
+
   try {
     // Parse the request path to get the Xero API endpoint
     const path = event.path.split('/api/xero-api/')[1];
@@ -28,20 +43,35 @@ exports.handler = async function(event, context) {
       };
     }
     
-    // Get authentication details from the request
-    const authHeader = event.headers.authorization;
+    // Get authentication details: tokens come from the session vault, tenant from the request
+    const session = await getSession(event);
     const tenantId = event.headers['xero-tenant-id'];
     
-    if (!authHeader || !tenantId) {
+    if (!session || !tenantId) {
       return {
         statusCode: 401,
         headers: corsHeaders,
         body: JSON.stringify({ error: 'Missing authentication details' })
       };
     }
+
+    // Only allow organisations this session has actually authorised
+    if (!session.tenants.some(tenant => tenant.tenantId === tenantId)) {
+      return {
+        statusCode: 403,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Forbidden',
+          message: 'This Xero organisation is not connected. Please reconnect to Xero.'
+        })
+      };
+    }
     
+    // invoices/{id}/pdf - the invoice as a PDF, which Xero serves from Invoices/{id} for Accept: application/pdf
+    const pdfMatch = path.match(/^invoices\/([^/]+)\/pdf$/i);
+
   // Build the Xero API URL
-const xeroApiUrl = `https://api.xero.com/api.xro/2.0/${path}`;
+const xeroApiUrl = `https://api.xero.com/api.xro/2.0/${pdfMatch ? `Invoices/${pdfMatch[1]}` : path}`;
 
 // Add query parameters if present
 const url = new URL(xeroApiUrl);
@@ -76,19 +106,60 @@ Object.entries(queryParams).forEach(([key, value]) => {
 });
     
     console.log(`Making request to Xero API: ${url.toString()}`);
+
+    const requestedAccept = (event.headers.accept || '').trim();
+    const accept = pdfMatch ? 'application/pdf'
+      : BINARY_ACCEPT_TYPES.test(requestedAccept) ? requestedAccept : 'application/json';
     
-    // Make the request to Xero
-    const xeroResponse = await fetch(url.toString(), {
-      method: event.httpMethod === 'OPTIONS' ? 'GET' : event.httpMethod,
-      headers: {
-        'Authorization': authHeader,
-        'Xero-Tenant-Id': tenantId,
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      },
-      body: event.body && event.httpMethod !== 'GET' ? event.body : undefined
-    });
+    // Make the request to Xero (refreshes the session's tokens and retries once if they've expired)
+    let xeroResponse;
+    let tokensRefreshed;
+    try {
+      ({ response: xeroResponse, refreshed: tokensRefreshed } = await xeroFetch(session, tenantId, url.toString(), {
+        headers: {
+          'Accept': accept
+        }
+      }));
+    } catch (error) {
+      // Refresh token rejected (revoked, or unused for 60 days) - the user must reconnect
+      if (!error.statusCode) throw error;
+      return {
+        statusCode: 401,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Unauthorized',
+          message: 'Your Xero session has expired. Please reconnect to Xero.',
+          reauth: true
+        })
+      };
+    }
     
+    const responseHeaders = {
+      ...corsHeaders,
+      'Content-Type': 'application/json',
+      // Remaining minute/day quota (and Retry-After on a 429) for the UI
+      ...getRateLimitHeaders(xeroResponse),
+      // Let the caller know the session's tokens were rotated while serving this request
+      'X-Xero-Token-Refreshed': String(tokensRefreshed),
+      'X-Xero-Session-Expires-At': String(session.tokens.expires_at)
+    };
+
+    // Files (attachments, PDFs) go back as they are
+    const contentType = xeroResponse.headers.get('content-type') || '';
+    if (xeroResponse.ok && accept !== 'application/json' && !contentType.includes('json')) {
+      const contents = await xeroResponse.buffer();
+      return {
+        statusCode: xeroResponse.status,
+        headers: {
+          ...responseHeaders,
+          'Content-Type': contentType || accept,
+          ...(pdfMatch ? { 'Content-Disposition': `inline; filename="invoice-${pdfMatch[1]}.pdf"` } : {})
+        },
+        body: contents.toString('base64'),
+        isBase64Encoded: true
+      };
+    }
+
     // Get the response body
     const responseText = await xeroResponse.text();
     
@@ -104,10 +175,7 @@ Object.entries(queryParams).forEach(([key, value]) => {
     // Return the response from Xero
     return {
       statusCode: xeroResponse.status,
-      headers: {
-        ...corsHeaders,
-        'Content-Type': 'application/json'
-      },
+      headers: responseHeaders,
       body: typeof responseBody === 'string' ? responseBody : JSON.stringify(responseBody)
     };
   } catch (error) {
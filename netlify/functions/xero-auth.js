@@ -39,9 +39,10 @@ exports.handler = async function(event, context) {
       'profile',
       'email',
       'offline_access',
-      'accounting.transactions.read',
+      'accounting.transactions',   // Read, plus the edits in invoice-actions.js
       'accounting.settings.read',
-      'accounting.contacts.read'  // Add this line
+      'accounting.contacts.read',  // Add this line
+      'accounting.attachments'     // Upload files from the detail view to Xero invoices
     ].join(' ');
 
     // Build the redirect URI to Xero authorization endpoint
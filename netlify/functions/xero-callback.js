@@ -2,6 +2,8 @@
 const fetch = require('node-fetch');
 const cookie = require('cookie');
 const querystring = require('querystring');
+const { requestTokens, createSession, serializeSessionCookie } = require('./utils/token-store');
+const { toTenant } = require('./utils/xero-client');
 
 exports.handler = async function(event, context) {
   try {
@@ -50,42 +52,23 @@ exports.handler = async function(event, context) {
       return redirectWithError('Invalid authentication request (state mismatch)');
     }
     
-    // Get Xero client credentials from environment variables
-    const clientId = process.env.XERO_CLIENT_ID;
-    const clientSecret = process.env.XERO_CLIENT_SECRET;
-    
-    if (!clientId || !clientSecret) {
-      console.error('Missing Xero client credentials in environment variables');
-      return redirectWithError('Server configuration error (missing Xero credentials)');
-    }
-    
     // Build the redirect URI (must match the one used in the authorization request)
     const redirectUri = `${process.env.URL || 'http://localhost:8888'}/.netlify/functions/xero-callback`;
     
     // Exchange the authorization code for tokens
     console.log('Exchanging authorization code for tokens');
-    const tokenResponse = await fetch('https://identity.xero.com/connect/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
-      },
-      body: querystring.stringify({
+    let tokenData;
+    try {
+      tokenData = await requestTokens({
         grant_type: 'authorization_code',
         code: code,
         redirect_uri: redirectUri,
         code_verifier: codeVerifier
-      })
-    });
-    
-    if (!tokenResponse.ok) {
-      const errorData = await tokenResponse.text();
-      console.error('Token exchange failed:', tokenResponse.status, errorData);
-      return redirectWithError(`Failed to exchange code for tokens (${tokenResponse.status})`);
+      });
+    } catch (error) {
+      console.error('Token exchange failed:', error.message);
+      return redirectWithError(`Failed to exchange code for tokens (${error.statusCode || error.message})`);
     }
-    
-    // Parse the token response
-    const tokenData = await tokenResponse.json();
     console.log('Successfully received tokens from Xero');
     
     // Get user info from Xero
@@ -104,9 +87,16 @@ exports.handler = async function(event, context) {
     const connections = await userInfoResponse.json();
     console.log(`Found ${connections.length} Xero connections`);
     
-    // Store the first tenant ID in a cookie (simplified approach)
-    const tenantId = connections.length > 0 ? connections[0].tenantId : null;
-    const tenantName = connections.length > 0 ? connections[0].tenantName : 'Unknown Organization';
+    if (connections.length === 0) {
+      return redirectWithError('Connected to Xero, but no organisation was authorised');
+    }
+    
+    // Keep every authorised organisation (the connection id is needed to disconnect one later)
+    const orgData = connections.map(toTenant);
+    
+    // Keep the tokens server-side; the browser only gets an opaque session cookie
+    const { sessionId } = await createSession(tokenData, orgData);
+    console.log('Stored Xero tokens in session vault');
     
     // Set up cookie options
     const cookieOptions = {
@@ -119,10 +109,6 @@ exports.handler = async function(event, context) {
     
     // Create simplified authentication cookies - we only need to know the user is authenticated
     const authCookie = cookie.serialize('xero_authenticated', 'true', cookieOptions);
-    const tenantIdCookie = cookie.serialize('xero_tenant_id', tenantId || '', cookieOptions);
-    const tenantNameCookie = cookie.serialize('xero_tenant_name', tenantName || '', cookieOptions);
-    const userIdCookie = tokenData.id_token ? 
-      cookie.serialize('xero_user_id', tokenData.id_token.split('.')[1] || '', cookieOptions) : '';
     
     // Clear the auth cookie as it's no longer needed
     const clearAuthCookie = cookie.serialize('xero_auth', '', {
@@ -130,35 +116,24 @@ exports.handler = async function(event, context) {
       expires: new Date(0) // Set to expired
     });
     
-    // Store connections for tenant selection if there are multiple
-    const tenantsData = connections.map(conn => ({
-      tenantId: conn.tenantId,
-      tenantName: conn.tenantName || 'Unnamed Organization'
-    }));
-    
     // Redirect back to the application with success
     console.log('Authentication successful, redirecting to app');
     
-// Store connections for tenant selection if there are multiple
-const orgData = connections.map(conn => ({
-  tenantId: conn.tenantId,
-  tenantName: conn.tenantName || 'Unnamed Organization'
-}));
-
-console.log('Redirecting with tenant data in URL params');
-
-// Use URL parameters to pass everything we need including tokens
-return {
-  statusCode: 302,
-  headers: {
-    'Location': `/?auth=success&tenantName=${encodeURIComponent(tenantName || "Unknown")}&tenantId=${encodeURIComponent(tenantId || "")}&multipleOrgs=${connections.length > 1}&tenants=${encodeURIComponent(JSON.stringify(orgData))}&tokens=${encodeURIComponent(JSON.stringify({
-      access_token: tokenData.access_token,
-      refresh_token: tokenData.refresh_token,
-      expires_at: Date.now() + (tokenData.expires_in * 1000)
-    }))}`,
-    'Cache-Control': 'no-cache'
-  }
-};
+    // The app loads the organisation list from /api/xero-connections, so nothing else goes in the URL
+    return {
+      statusCode: 302,
+      headers: {
+        'Location': `/?auth=success&multipleOrgs=${connections.length > 1}`,
+        'Cache-Control': 'no-cache'
+      },
+      multiValueHeaders: {
+        'Set-Cookie': [
+          serializeSessionCookie(sessionId),
+          authCookie,
+          clearAuthCookie
+        ]
+      }
+    };
     
   } catch (error) {
     console.error('Error in Xero callback function:', error);
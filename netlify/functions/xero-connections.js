@@ -1,11 +1,14 @@
 // netlify/functions/xero-connections.js
-const cookie = require('cookie');
+const { getSession, saveTenants } = require('./utils/token-store');
+const { xeroFetch, toTenant } = require('./utils/xero-client');
+
+const XERO_CONNECTIONS_URL = 'https://api.xero.com/connections';
 
 exports.handler = async function(event, context) {
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS'
+    'Access-Control-Allow-Methods': 'GET, DELETE, OPTIONS'
   };
 
   if (event.httpMethod === 'OPTIONS') {
@@ -13,11 +16,10 @@ exports.handler = async function(event, context) {
   }
 
   try {
-    // Get cookie to verify authentication
-    const cookies = cookie.parse(event.headers.cookie || '');
-    const isAuthenticated = cookies.xero_authenticated === 'true';
-    
-    if (!isAuthenticated) {
+    // Look up the caller's Xero session
+    const session = await getSession(event);
+
+    if (!session) {
       return {
         statusCode: 401,
         headers: corsHeaders,
@@ -27,40 +29,87 @@ exports.handler = async function(event, context) {
         })
       };
     }
-    
-    // In a simplified flow, we store tenant info in cookies during authentication
-    // We can just return that info here
-    const tenantId = cookies.xero_tenant_id;
-    const tenantName = cookies.xero_tenant_name;
-    
-    if (!tenantId) {
+
+    // DELETE /api/xero-connections/{connectionId} disconnects a single organisation
+    if (event.httpMethod === 'DELETE') {
+      const connectionId = (event.path.split('/xero-connections/')[1] || '').split('/')[0];
+
+      if (!connectionId) {
+        return {
+          statusCode: 400,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: 'Bad Request', message: 'Missing connection ID' })
+        };
+      }
+
+      // Only allow disconnecting organisations that belong to this session
+      if (!session.tenants.some(tenant => tenant.id === connectionId)) {
+        return {
+          statusCode: 404,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: 'Not Found', message: 'Connection not found for this session' })
+        };
+      }
+
+      console.log(`Disconnecting Xero connection ${connectionId}`);
+      const { response: deleteResponse } = await xeroFetch(session, null, `${XERO_CONNECTIONS_URL}/${encodeURIComponent(connectionId)}`, {
+        method: 'DELETE'
+      });
+
+      if (!deleteResponse.ok && deleteResponse.status !== 404) {
+        const errorText = await deleteResponse.text();
+        console.error('Failed to disconnect Xero connection:', deleteResponse.status, errorText);
+        return {
+          statusCode: deleteResponse.status,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: 'Failed to disconnect organisation', details: errorText })
+        };
+      }
+    } else if (event.httpMethod !== 'GET') {
       return {
-        statusCode: 404,
+        statusCode: 405,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: 'Method not allowed' })
+      };
+    }
+
+    // Always answer with the live list of authorised organisations
+    const { response: connectionsResponse } = await xeroFetch(session, null, XERO_CONNECTIONS_URL);
+
+    if (!connectionsResponse.ok) {
+      const errorText = await connectionsResponse.text();
+      console.error('Failed to list Xero connections:', connectionsResponse.status, errorText);
+      return {
+        statusCode: connectionsResponse.status === 401 ? 401 : 502,
         headers: corsHeaders,
         body: JSON.stringify({
-          error: 'Not Found',
-          message: 'No Xero organization found. Please reconnect to Xero.'
+          error: 'Failed to load Xero organisations',
+          message: connectionsResponse.status === 401 ? 'Your Xero session has expired. Please reconnect to Xero.' : errorText
         })
       };
     }
-    
-    // Return minimal tenant info
+
+    const tenants = (await connectionsResponse.json())
+      .filter(connection => connection.tenantType !== 'PRACTICEMANAGER') // Only accounting organisations have invoices
+      .map(toTenant);
+    console.log(`Found ${tenants.length} authorised Xero organisations`);
+
+    // Keep the session's tenant list in sync so the proxy only accepts authorised tenants
+    await saveTenants(session.id, tenants);
+
     return {
       statusCode: 200,
       headers: {
         ...corsHeaders,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify([{
-        tenantId: tenantId,
-        tenantName: tenantName || 'Xero Organization'
-      }])
+      body: JSON.stringify(tenants)
     };
   } catch (error) {
     console.error('Error in xero-connections function:', error);
-    
+
     return {
-      statusCode: 500,
+      statusCode: error.statusCode ? 401 : 500,
       headers: corsHeaders,
       body: JSON.stringify({
         error: 'Server error',
@@ -68,4 +117,4 @@ exports.handler = async function(event, context) {
       })
     };
   }
-};
\ No newline at end of file
+};
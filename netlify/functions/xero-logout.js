@@ -0,0 +1,66 @@
+// netlify/functions/xero-logout.js
+const cookie = require('cookie');
+const { getSession, deleteSession, serializeClearedSessionCookie } = require('./utils/token-store');
+
+exports.handler = async function(event, context) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 204,
+      headers: corsHeaders
+    };
+  }
+
+  try {
+    if (event.httpMethod !== 'POST') {
+      return {
+        statusCode: 405,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: 'Method not allowed' })
+      };
+    }
+
+    // Remove the stored tokens so the session cannot be reused
+    const session = await getSession(event);
+    if (session) {
+      await deleteSession(session.id);
+      console.log('Xero session deleted');
+    }
+
+    // The session cookie is HttpOnly, so only the server can clear it
+    const expiredOptions = { path: '/', secure: true, httpOnly: true, sameSite: 'Lax', expires: new Date(0) };
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'application/json'
+      },
+      multiValueHeaders: {
+        'Set-Cookie': [
+          serializeClearedSessionCookie(),
+          cookie.serialize('xero_authenticated', '', expiredOptions),
+          cookie.serialize('xero_tenant_id', '', expiredOptions),
+          cookie.serialize('xero_tenant_name', '', expiredOptions)
+        ]
+      },
+      body: JSON.stringify({ success: true })
+    };
+  } catch (error) {
+    console.error('Error in xero-logout function:', error);
+
+    return {
+      statusCode: 500,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        error: 'Server error',
+        message: error.message
+      })
+    };
+  }
+};
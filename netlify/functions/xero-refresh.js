@@ -1,6 +1,5 @@
 // netlify/functions/xero-refresh.js
-const fetch = require('node-fetch');
-const querystring = require('querystring');
+const { getSession, refreshSessionTokens } = require('./utils/token-store');
 
 exports.handler = async function(event, context) {
   const corsHeaders = {
@@ -25,64 +24,35 @@ exports.handler = async function(event, context) {
       };
     }
 
-    // Parse request body to get refresh token
-    const requestData = JSON.parse(event.body || '{}');
-    const refreshToken = requestData.refresh_token;
+    // Look up the caller's session - the refresh token never leaves the server
+    const session = await getSession(event);
 
-    if (!refreshToken) {
+    if (!session) {
       return {
-        statusCode: 400,
+        statusCode: 401,
         headers: corsHeaders,
-        body: JSON.stringify({ error: 'Refresh token is required' })
+        body: JSON.stringify({ error: 'Unauthorized', message: 'No Xero session found. Please reconnect to Xero.' })
       };
     }
 
-    // Get Xero client credentials from environment variables
-    const clientId = process.env.XERO_CLIENT_ID;
-    const clientSecret = process.env.XERO_CLIENT_SECRET;
+    // Request new tokens using the stored refresh token
+    let tokens;
+    try {
+      tokens = await refreshSessionTokens(session);
+    } catch (error) {
+      if (!error.statusCode) throw error;
 
-    if (!clientId || !clientSecret) {
       return {
-        statusCode: 500,
-        headers: corsHeaders,
-        body: JSON.stringify({ error: 'Missing Xero credentials' })
-      };
-    }
-
-    // Request new tokens using the refresh token
-    const tokenResponse = await fetch('https://identity.xero.com/connect/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
-      },
-      body: querystring.stringify({
-        grant_type: 'refresh_token',
-        refresh_token: refreshToken
-      })
-    });
-
-    if (!tokenResponse.ok) {
-      const errorText = await tokenResponse.text();
-      console.error('Token refresh failed:', tokenResponse.status, errorText);
-      
-      return {
-        statusCode: tokenResponse.status,
+        statusCode: error.statusCode,
         headers: corsHeaders,
         body: JSON.stringify({
           error: 'Failed to refresh token',
-          details: errorText
+          details: error.details
         })
       };
     }
 
-    // Parse the token response
-    const tokenData = await tokenResponse.json();
-    
-    // Calculate expiration time
-    const expiresAt = Date.now() + (tokenData.expires_in * 1000);
-
-    // Return the new tokens
+    // Only the expiry goes back to the browser
     return {
       statusCode: 200,
       headers: {
@@ -90,9 +60,7 @@ exports.handler = async function(event, context) {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
-        access_token: tokenData.access_token,
-        refresh_token: tokenData.refresh_token,
-        expires_at: expiresAt
+        expires_at: tokens.expires_at
       })
     };
   } catch (error) {
@@ -0,0 +1,187 @@
+// netlify/functions/xero-sync.js
+// Keeps the Firestore invoice mirror (utils/invoice-mirror.js) up to date for one organisation.
+//
+// The first pass pages through the full ACCREC history; every later pass sends
+// If-Modified-Since so Xero only returns invoices changed since the previous pass began.
+// A pass stops after SYNC_TIME_BUDGET_MS and is resumed by the next POST, so the
+// browser keeps calling until it gets `done: true`.
+//
+// GET  -> current sync state for the tenant
+// POST -> sync the next slice ({ "full": true } restarts from scratch)
+const { getSession } = require('./utils/token-store');
+const { xeroFetch, getRateLimitHeaders, RATE_LIMIT_HEADERS } = require('./utils/xero-client');
+const { saveInvoices, getSyncState, saveSyncState } = require('./utils/invoice-mirror');
+
+const XERO_INVOICES_URL = 'https://api.xero.com/api.xro/2.0/Invoices';
+const PAGE_SIZE = 100;
+// Stop starting new pages after this long - leaves room for a rate-limit wait inside the 10s timeout
+const SYNC_TIME_BUDGET_MS = 4000;
+
+// Public view of the stored state
+function toSyncStatus(state) {
+  return {
+    fullSyncComplete: Boolean(state.fullSyncComplete),
+    lastSyncedAt: state.lastSyncedAt || null,
+    inProgress: Boolean(state.passStartedAt),
+    nextPage: state.nextPage || 1
+  };
+}
+
+exports.handler = async function(event, context) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Xero-Tenant-Id',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Expose-Headers': Object.values(RATE_LIMIT_HEADERS).join(', ')
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: corsHeaders };
+  }
+
+  try {
+    const session = await getSession(event);
+    const tenantId = event.headers['xero-tenant-id'];
+
+    if (!session || !tenantId) {
+      return {
+        statusCode: 401,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: 'Missing authentication details' })
+      };
+    }
+
+    if (!session.tenants.some(tenant => tenant.tenantId === tenantId)) {
+      return {
+        statusCode: 403,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Forbidden',
+          message: 'This Xero organisation is not connected. Please reconnect to Xero.'
+        })
+      };
+    }
+
+    let state = await getSyncState(tenantId);
+
+    if (event.httpMethod === 'GET') {
+      return {
+        statusCode: 200,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(toSyncStatus(state))
+      };
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return {
+        statusCode: 405,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: 'Method not allowed' })
+      };
+    }
+
+    const { full } = JSON.parse(event.body || '{}');
+    if (full) {
+      console.log(`Full invoice re-sync requested for tenant ${tenantId}`);
+      state = { ...state, modifiedSince: null, passStartedAt: null, nextPage: 1 };
+    }
+
+    // Everything changed after this moment is picked up by the next pass
+    const passStartedAt = state.passStartedAt || new Date().toISOString();
+    const modifiedSince = state.modifiedSince || null;
+    let page = state.nextPage || 1;
+    let invoicesSynced = 0;
+    let lastResponse = null;
+    let done = false;
+    const startedAt = Date.now();
+
+    console.log(`Syncing invoices for tenant ${tenantId} from page ${page}${modifiedSince ? `, modified since ${modifiedSince}` : ' (full history)'}`);
+
+    while (!done && Date.now() - startedAt < SYNC_TIME_BUDGET_MS) {
+      const url = new URL(XERO_INVOICES_URL);
+      url.searchParams.set('where', 'Type=="ACCREC"');
+      url.searchParams.set('order', 'UpdatedDateUTC ASC');
+      url.searchParams.set('page', String(page));
+      url.searchParams.set('pageSize', String(PAGE_SIZE));
+
+      const { response } = await xeroFetch(session, tenantId, url.toString(), {
+        headers: modifiedSince ? { 'If-Modified-Since': modifiedSince.slice(0, 19) } : {}
+      });
+      lastResponse = response;
+
+      // Nothing changed since the last pass
+      if (response.status === 304) {
+        done = true;
+        break;
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`Invoice sync failed on page ${page}:`, response.status, errorText);
+
+        // Remember where we got to so the next call carries on from this page
+        await saveSyncState(tenantId, { modifiedSince, passStartedAt, nextPage: page });
+
+        return {
+          statusCode: response.status === 429 ? 429 : 502,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json', ...getRateLimitHeaders(response) },
+          body: JSON.stringify({
+            error: 'Invoice sync failed',
+            message: response.status === 429 ? 'Xero rate limit reached, try again shortly' : errorText,
+            ...toSyncStatus({ ...state, passStartedAt, nextPage: page })
+          })
+        };
+      }
+
+      const invoices = (await response.json()).Invoices || [];
+      await saveInvoices(tenantId, invoices);
+      invoicesSynced += invoices.length;
+
+      if (invoices.length < PAGE_SIZE) {
+        done = true;
+      } else {
+        page++;
+      }
+    }
+
+    state = done
+      ? {
+        ...state,
+        modifiedSince: passStartedAt,
+        passStartedAt: null,
+        nextPage: 1,
+        fullSyncComplete: true,
+        lastSyncedAt: new Date().toISOString()
+      }
+      : { ...state, modifiedSince, passStartedAt, nextPage: page };
+    await saveSyncState(tenantId, state);
+
+    console.log(`Synced ${invoicesSynced} invoices for tenant ${tenantId}; pass ${done ? 'complete' : `continues at page ${page}`}`);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'application/json',
+        ...(lastResponse ? getRateLimitHeaders(lastResponse) : {})
+      },
+      body: JSON.stringify({
+        done,
+        invoicesSynced,
+        ...toSyncStatus(state)
+      })
+    };
+  } catch (error) {
+    console.error('Error in xero-sync function:', error);
+
+    return {
+      statusCode: error.statusCode ? 401 : 500,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        error: 'Server error',
+        message: error.message,
+        ...(error.statusCode ? { reauth: true } : {})
+      })
+    };
+  }
+};
@@ -0,0 +1,89 @@
+// netlify/functions/xero-webhook.js
+// Receives Xero webhooks (https://developer.xero.com/documentation/guides/webhooks/overview).
+//
+// Every delivery is signed: `x-xero-signature` is the base64 HMAC-SHA256 of the raw body
+// using the webhook key from the Xero developer portal. Xero's "intent to receive" check
+// sends correctly and incorrectly signed payloads and expects 200 / 401 respectively,
+// with an empty body, within 5 seconds - so events are only queued here. The browser picks
+// them up from /api/firebase-api/webhook-events and refreshes the affected invoices.
+//
+// --- Required Netlify environment variables: ---
+// XERO_WEBHOOK_KEY
+//
+// Events are kept in the `webhook_events` collection. `expireAt` is set so a Firestore TTL
+// policy on that field can clear old events automatically.
+const crypto = require('crypto');
+const { admin, db } = require('./utils/firebase');
+
+const EVENTS_COLLECTION = 'webhook_events';
+const EVENT_RETENTION_DAYS = 7;
+const HANDLED_CATEGORIES = ['INVOICE', 'CONTACT'];
+
+// Constant-time comparison of the expected and received signatures
+function isValidSignature(rawBody, signature, webhookKey) {
+  if (!signature) return false;
+  const expected = crypto.createHmac('sha256', webhookKey).update(rawBody).digest();
+  const received = Buffer.from(signature, 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+exports.handler = async function(event, context) {
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: '' };
+  }
+
+  const webhookKey = process.env.XERO_WEBHOOK_KEY;
+  if (!webhookKey) {
+    console.error('Missing XERO_WEBHOOK_KEY environment variable');
+    return { statusCode: 500, body: '' };
+  }
+
+  // Verify against the exact bytes Xero signed
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body || '', 'base64')
+    : Buffer.from(event.body || '', 'utf8');
+
+  if (!isValidSignature(rawBody, event.headers['x-xero-signature'], webhookKey)) {
+    console.warn('Rejected Xero webhook with an invalid signature');
+    return { statusCode: 401, body: '' };
+  }
+
+  try {
+    const payload = JSON.parse(rawBody.toString('utf8'));
+    const events = (payload.events || []).filter(e => HANDLED_CATEGORIES.includes(e.eventCategory));
+
+    // The intent-to-receive check (and empty deliveries) carry no events
+    if (events.length === 0) {
+      console.log('Xero webhook accepted with no events to queue');
+      return { statusCode: 200, body: '' };
+    }
+
+    if (!db) {
+      throw new Error('Firestore is not initialized');
+    }
+
+    const receivedAt = admin.firestore.Timestamp.now();
+    const expireAt = admin.firestore.Timestamp.fromMillis(receivedAt.toMillis() + EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    const batch = db.batch();
+    events.forEach(xeroEvent => {
+      batch.set(db.collection(EVENTS_COLLECTION).doc(), {
+        tenantId: xeroEvent.tenantId,
+        eventCategory: xeroEvent.eventCategory,
+        eventType: xeroEvent.eventType,
+        resourceId: xeroEvent.resourceId,
+        eventDateUtc: xeroEvent.eventDateUtc || null,
+        receivedAt,
+        expireAt
+      });
+    });
+    await batch.commit();
+
+    console.log(`Queued ${events.length} Xero webhook events (sequence ${payload.firstEventSequence}-${payload.lastEventSequence})`);
+    return { statusCode: 200, body: '' };
+  } catch (error) {
+    // Non-2xx makes Xero retry the delivery later
+    console.error('Error in xero-webhook function:', error);
+    return { statusCode: 500, body: '' };
+  }
+};
@@ -96,7 +96,7 @@ async function fetchNotes(accountNumber) {
   try {
     toggleLoading('notes-list', true);
     
-    const response = await fetch(`/api/firebase-api/notes/${accountNumber}`);
+    const response = await fetch(`/api/firebase-api/notes/${accountNumber}?tenantId=${encodeURIComponent(window.tenantId || '')}`);
     if (!response.ok) {
       throw new Error(`Error fetching notes: ${response.status}`);
     }
@@ -200,6 +200,7 @@ async function addNote(event) {
       body: JSON.stringify({
         accountNumber: currentAccountNumber,
         invoiceId: currentInvoiceId,
+        tenantId: window.tenantId,
         text,
         category: category === 'general' ? null : category
       })
@@ -299,7 +300,7 @@ async function fetchReminders(accountNumber) {
   try {
     toggleLoading('reminders-list', true);
     
-    const response = await fetch(`/api/firebase-api/reminders/${accountNumber}`);
+    const response = await fetch(`/api/firebase-api/reminders/${accountNumber}?tenantId=${encodeURIComponent(window.tenantId || '')}`);
     if (!response.ok) {
       throw new Error(`Error fetching reminders: ${response.status}`);
     }
@@ -387,7 +388,7 @@ function displayReminders() {
         </div>
       </div>
       <div class="item-content">${reminder.text}</div>
-      ${reminder.recurring ? `<div class="item-footer"><small>Recurring: ${reminder.recurring}</small></div>` : ''}
+      ${reminder.recurrenceLabel || reminder.recurring ? `<div class="item-footer"><small>${describeReminderRecurrence(reminder)}</small></div>` : ''}
     `;
     
     // Add event listeners
@@ -401,17 +402,52 @@ function displayReminders() {
   });
 }
 
+// "Recurring: every 2 weeks (occurrence 3)", plus whether the next one has been added
+function describeReminderRecurrence(reminder) {
+  let description = `Recurring: ${reminder.recurrenceLabel || reminder.recurring}`;
+  if (reminder.occurrence > 1) description += ` (occurrence ${reminder.occurrence})`;
+  if (reminder.completed && reminder.nextReminderId) description += ' - next occurrence added';
+  return description;
+}
+
+// Show the interval, business-day and end date fields only for recurring reminders
+function updateRecurrenceOptions() {
+  const frequency = document.getElementById('reminder-recurring').value;
+  const units = { daily: 'days', weekly: 'weeks', monthly: 'months' };
+  document.getElementById('reminder-recurrence-options').classList.toggle('hidden', frequency === 'none');
+  document.getElementById('reminder-interval-unit').textContent = units[frequency] || '';
+}
+
+// Recurrence rule from the reminder form (null when not recurring)
+function readRecurrenceForm() {
+  const frequency = document.getElementById('reminder-recurring').value;
+  if (frequency === 'none') return null;
+  return {
+    frequency,
+    interval: Number(document.getElementById('reminder-interval').value) || 1,
+    businessDaysOnly: document.getElementById('reminder-business-days').checked,
+    until: document.getElementById('reminder-until').value || null
+  };
+}
+
+function resetRecurrenceForm() {
+  document.getElementById('reminder-recurring').value = 'none';
+  document.getElementById('reminder-interval').value = 1;
+  document.getElementById('reminder-business-days').checked = false;
+  document.getElementById('reminder-until').value = '';
+  updateRecurrenceOptions();
+}
+
 // Add a new reminder
 async function addReminder(event) {
   event.preventDefault();
   
   const textArea = document.getElementById('reminder-text');
   const dueDateInput = document.getElementById('reminder-due-date');
-  const recurringSelect = document.getElementById('reminder-recurring');
   
   const text = textArea.value.trim();
   const dueDate = dueDateInput.value;
-  const recurring = recurringSelect.value;
+  const recurrence = readRecurrenceForm();
   
   if (!text) {
     alert('Please enter a reminder description');
@@ -423,6 +459,11 @@ async function addReminder(event) {
     return;
   }
   
+  if (recurrence && recurrence.until && recurrence.until < dueDate) {
+    alert('The end date must be on or after the due date');
+    return;
+  }
+  
   if (!currentAccountNumber) {
     alert('No account associated with this invoice');
     return;
@@ -437,9 +478,10 @@ async function addReminder(event) {
       body: JSON.stringify({
         accountNumber: currentAccountNumber,
         invoiceId: currentInvoiceId,
+        tenantId: window.tenantId,
         text,
         dueDate,
-        recurring: recurring === 'none' ? null : recurring
+        recurrence
       })
     });
     
@@ -450,7 +492,7 @@ async function addReminder(event) {
     // Clear the form
     textArea.value = '';
     dueDateInput.value = '';
-    recurringSelect.value = 'none';
+    resetRecurrenceForm();
     
     // Refresh reminders
     await fetchReminders(currentAccountNumber);
@@ -515,12 +557,15 @@ async function completeReminder(reminderId) {
     if (!response.ok) {
       throw new Error(`Failed to complete reminder: ${response.status}`);
     }
+    const data = await response.json();
     
     // Refresh reminders
     await fetchReminders(currentAccountNumber);
     
     // Show success message
-    showMessage('Reminder marked as complete');
+    showMessage(data.nextReminder
+      ? `Reminder marked as complete - next one due ${formatDate(data.nextReminder.dueDate)}`
+      : 'Reminder marked as complete');
   } catch (error) {
     console.error('Error completing reminder:', error);
     showError('reminders-list', 'Failed to complete reminder. Please try again.');
@@ -668,6 +713,7 @@ function initNotesAndReminders(invoice) {
   const reminderForm = document.getElementById('add-reminder-form');
   if (reminderForm) {
     reminderForm.addEventListener('submit', addReminder);
+    document.getElementById('reminder-recurring').addEventListener('change', updateRecurrenceOptions);
   }
   
   // Pre-fill the due date field with tomorrow's date
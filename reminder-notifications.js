@@ -0,0 +1,145 @@
+console.log('Reminder notifications module loading...');
+
+// Browser notifications for due reminders: the Notify button in the reminders inbox subscribes
+// this browser (Web Push, via sw.js) to the active organisation's morning notifications.
+// The button stays hidden when the browser can't do push or the server has no VAPID keys.
+
+let notificationsSupported = false;
+let notificationsPublicKey = null;
+let notificationsSubscribed = false;
+
+// VAPID keys are URL-safe base64; pushManager.subscribe wants the bytes
+function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - base64String.length % 4) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = atob(base64);
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+}
+
+async function getPushSubscription() {
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+}
+
+function renderNotificationsButton() {
+  const button = document.getElementById('reminders-notify-btn');
+  if (!button) return;
+  button.classList.toggle('hidden', !notificationsSupported || !notificationsPublicKey);
+  button.textContent = notificationsSubscribed ? 'Turn off notifications' : 'Notify me';
+  button.title = notificationsSubscribed
+    ? `Stop notifications about ${window.tenantName || 'this organisation'}'s due reminders in this browser`
+    : `Get a notification in this browser each morning when ${window.tenantName || 'this organisation'} has reminders due`;
+}
+
+// Whether this browser is subscribed to the active organisation
+async function refreshNotificationsStatus() {
+  if (!notificationsSupported || !window.tenantId) return;
+
+  try {
+    const subscription = await getPushSubscription();
+    const params = new URLSearchParams({ tenantId: window.tenantId });
+    if (subscription) params.set('endpoint', subscription.endpoint);
+
+    const response = await fetch(`/api/firebase-api/push-subscriptions?${params}`);
+    if (!response.ok) {
+      throw new Error(`Error checking notifications: ${response.status}`);
+    }
+    const data = await response.json();
+    notificationsPublicKey = data.publicKey;
+    notificationsSubscribed = data.subscribed;
+  } catch (error) {
+    console.error('Error checking reminder notifications:', error);
+    notificationsPublicKey = null;
+  }
+  renderNotificationsButton();
+}
+
+async function enableNotifications() {
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    showMessage('Notifications are blocked for this site. Allow them in the browser settings first.', 'error');
+    return;
+  }
+
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription()
+    || await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(notificationsPublicKey)
+    });
+
+  const response = await fetch('/api/firebase-api/push-subscriptions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tenantId: window.tenantId, subscription: subscription.toJSON() })
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to turn on notifications: ${response.status}`);
+  }
+
+  notificationsSubscribed = true;
+  showMessage(`You'll be notified in this browser when ${window.tenantName || 'this organisation'} has reminders due`);
+}
+
+// Other organisations may still use the browser's subscription, so it is only removed on the server
+async function disableNotifications() {
+  const subscription = await getPushSubscription();
+  if (subscription) {
+    const response = await fetch('/api/firebase-api/push-subscriptions', {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ tenantId: window.tenantId, endpoint: subscription.endpoint })
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to turn off notifications: ${response.status}`);
+    }
+  }
+
+  notificationsSubscribed = false;
+  showMessage('Reminder notifications turned off in this browser');
+}
+
+async function toggleNotifications() {
+  const button = document.getElementById('reminders-notify-btn');
+  button.disabled = true;
+  try {
+    if (notificationsSubscribed) {
+      await disableNotifications();
+    } else {
+      await enableNotifications();
+    }
+  } catch (error) {
+    console.error('Error changing reminder notifications:', error);
+    showMessage(error.message, 'error');
+  } finally {
+    button.disabled = false;
+    renderNotificationsButton();
+  }
+}
+
+/**
+ * Registers the service worker and binds the Notify button.
+ * @param {object} options
+ * @param {function} options.onOpenReminders - Shows the reminders inbox (a notification was clicked).
+ */
+function initReminderNotifications(options) {
+  notificationsSupported = 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  renderNotificationsButton();
+  if (!notificationsSupported) return;
+
+  navigator.serviceWorker.register('/sw.js').catch(error => {
+    console.error('Error registering the service worker:', error);
+    notificationsSupported = false;
+    renderNotificationsButton();
+  });
+  navigator.serviceWorker.addEventListener('message', event => {
+    if (event.data && event.data.type === 'open-reminders') options.onOpenReminders();
+  });
+  document.getElementById('reminders-notify-btn')?.addEventListener('click', toggleNotifications);
+}
+
+// Export functions for use in the main application
+window.reminderNotifications = {
+  init: initReminderNotifications,
+  refresh: refreshNotificationsStatus
+};
@@ -0,0 +1,291 @@
+console.log('Reminders inbox module loading...');
+
+// Reminders inbox: every open reminder of the organisation in one list, whichever account or
+// invoice it was added on. Filter by what's overdue, due today or due this week, and complete or
+// snooze several at once.
+
+const INBOX_FILTERS = [
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'today', label: 'Due today' },
+  { value: 'week', label: 'This week' },
+  { value: 'all', label: 'All open' }
+];
+
+let inboxActive = false;
+let inboxReminders = [];
+let inboxFilter = 'overdue';
+let inboxSelected = new Set();
+let inboxOptions = {};
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+// 'overdue' | 'today' | 'week' (later this week) | 'later'
+function inboxBucketFor(reminder) {
+  if (!reminder.dueDate) return 'later';
+  const due = startOfDay(reminder.dueDate);
+  const today = startOfDay(new Date());
+  if (due < today) return 'overdue';
+  if (due.getTime() === today.getTime()) return 'today';
+
+  // Up to and including Sunday
+  const endOfWeek = new Date(today);
+  endOfWeek.setDate(today.getDate() + ((7 - today.getDay()) % 7));
+  return due <= endOfWeek ? 'week' : 'later';
+}
+
+function matchesInboxFilter(reminder, filter) {
+  const bucket = inboxBucketFor(reminder);
+  if (filter === 'all') return true;
+  if (filter === 'week') return bucket === 'today' || bucket === 'week';
+  return bucket === filter;
+}
+
+async function fetchInboxReminders() {
+  const response = await fetch(`/api/firebase-api/reminders?tenantId=${encodeURIComponent(window.tenantId || '')}`);
+  if (!response.ok) {
+    throw new Error(`Error fetching reminders: ${response.status}`);
+  }
+  const data = await response.json();
+  return data.reminders || [];
+}
+
+// Overdue and due-today count on the Reminders button
+function updateInboxBadge() {
+  const badge = document.getElementById('reminders-inbox-count');
+  if (!badge) return;
+  const dueCount = inboxReminders.filter(reminder => ['overdue', 'today'].includes(inboxBucketFor(reminder))).length;
+  badge.textContent = dueCount > 0 ? dueCount : '';
+  badge.classList.toggle('hidden', dueCount === 0);
+}
+
+function renderInboxFilters() {
+  const filters = document.getElementById('reminders-inbox-filters');
+  if (!filters) return;
+
+  filters.innerHTML = INBOX_FILTERS.map(filter => {
+    const count = inboxReminders.filter(reminder => matchesInboxFilter(reminder, filter.value)).length;
+    return `<button type="button" class="btn secondary ${filter.value === inboxFilter ? 'active' : ''}" data-filter="${filter.value}">${filter.label} (${count})</button>`;
+  }).join('');
+
+  filters.querySelectorAll('button').forEach(button => {
+    button.addEventListener('click', () => {
+      inboxFilter = button.dataset.filter;
+      inboxSelected.clear();
+      renderInbox();
+    });
+  });
+}
+
+function renderInbox() {
+  const list = document.getElementById('reminders-inbox-list');
+  if (!list) return;
+
+  renderInboxFilters();
+  updateInboxBadge();
+
+  const visible = inboxReminders.filter(reminder => matchesInboxFilter(reminder, inboxFilter));
+  // Selections hidden by the filter don't count
+  inboxSelected = new Set([...inboxSelected].filter(id => visible.some(reminder => reminder.id === id)));
+  updateInboxBulkActions(visible);
+
+  if (visible.length === 0) {
+    list.innerHTML = '<div class="empty-state"><p>Nothing here - no open reminders match this filter.</p></div>';
+    return;
+  }
+
+  list.innerHTML = '';
+  visible.forEach(reminder => {
+    const status = getReminderStatus(reminder.dueDate, false);
+    const statusLabel = { overdue: 'Overdue', 'due-today': 'Due Today' }[status] || 'Pending';
+    const account = reminder.contactName || reminder.accountNumber || 'Unknown account';
+
+    const row = document.createElement('div');
+    row.className = 'item-card reminder-card inbox-reminder';
+    row.dataset.id = reminder.id;
+    row.innerHTML = `
+      <div class="item-header">
+        <label class="inbox-select">
+          <input type="checkbox" ${inboxSelected.has(reminder.id) ? 'checked' : ''}>
+          <span class="reminder-status status-${status}">${statusLabel}</span>
+          <span class="item-date">Due: ${reminder.dueDate ? new Date(reminder.dueDate).toLocaleDateString() : 'N/A'} (${getRelativeTimeString(reminder.dueDate)})</span>
+        </label>
+        <div class="item-actions">
+          ${reminder.invoiceId ? `<button type="button" class="link-button inbox-open-invoice">${reminder.invoiceNumber ? `#${reminder.invoiceNumber}` : 'View invoice'}</button>` : ''}
+        </div>
+      </div>
+      <div class="item-content">${reminder.text}</div>
+      <div class="item-footer"><small>${account}${reminder.recurrenceLabel ? ` - recurring ${reminder.recurrenceLabel}` : ''}</small></div>
+    `;
+
+    row.querySelector('input[type="checkbox"]').addEventListener('change', event => {
+      if (event.target.checked) {
+        inboxSelected.add(reminder.id);
+      } else {
+        inboxSelected.delete(reminder.id);
+      }
+      updateInboxBulkActions(visible);
+    });
+    row.querySelector('.inbox-open-invoice')?.addEventListener('click', () => {
+      hideInboxSection();
+      inboxOptions.onOpenInvoice(reminder.invoiceId);
+    });
+
+    list.appendChild(row);
+  });
+}
+
+function updateInboxBulkActions(visible) {
+  const selectAll = document.getElementById('reminders-select-all');
+  const selectedCount = inboxSelected.size;
+  if (selectAll) {
+    selectAll.checked = visible.length > 0 && selectedCount === visible.length;
+    selectAll.indeterminate = selectedCount > 0 && selectedCount < visible.length;
+  }
+  document.getElementById('reminders-selected-count').textContent = selectedCount > 0 ? `${selectedCount} selected` : '';
+  document.querySelectorAll('.reminders-bulk-action').forEach(control => { control.disabled = selectedCount === 0; });
+}
+
+// YYYY-MM-DD (local) to snooze the selected reminders until
+function snoozeDate(option) {
+  const date = startOfDay(new Date());
+  if (option === 'tomorrow') {
+    date.setDate(date.getDate() + 1);
+  } else if (option === 'monday') {
+    date.setDate(date.getDate() + (((8 - date.getDay()) % 7) || 7));
+  } else {
+    date.setDate(date.getDate() + 7);
+  }
+  return date.toLocaleDateString('en-CA');
+}
+
+async function runInboxBulkAction(action, until) {
+  const ids = [...inboxSelected];
+  if (ids.length === 0) return;
+  if (action === 'complete' && !confirm(`Mark ${ids.length} reminder${ids.length === 1 ? '' : 's'} as complete?`)) return;
+
+  try {
+    const response = await fetch('/api/firebase-api/reminders/bulk', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ tenantId: window.tenantId, ids, action, until })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to update reminders: ${response.status}`);
+    }
+
+    const failed = data.failed || [];
+    const summary = action === 'complete'
+      ? `${data.updated} reminder${data.updated === 1 ? '' : 's'} completed${data.nextOccurrences > 0 ? `, ${data.nextOccurrences} next occurrence${data.nextOccurrences === 1 ? '' : 's'} added` : ''}`
+      : `${data.updated} reminder${data.updated === 1 ? '' : 's'} snoozed until ${new Date(`${until}T00:00:00`).toLocaleDateString()}`;
+    if (failed.length > 0) {
+      showMessage(`${summary}. ${failed.length} could not be completed and are still selected - please try again.`, 'warning');
+    } else {
+      showMessage(summary);
+    }
+    // Keep the ones that failed selected, so they can be retried
+    inboxSelected.clear();
+    failed.forEach(id => inboxSelected.add(id));
+    await refreshInbox();
+  } catch (error) {
+    console.error(`Error running bulk ${action} on reminders:`, error);
+    showMessage(error.message, 'error');
+  }
+}
+
+// Reload the open reminders for the active organisation
+async function refreshInbox() {
+  const list = document.getElementById('reminders-inbox-list');
+  const requestTenantId = window.tenantId;
+  if (inboxActive) {
+    list.innerHTML = `
+      <div class="loading-indicator">
+        <div class="spinner"></div>
+        <p>Loading reminders...</p>
+      </div>
+    `;
+  }
+
+  try {
+    const reminders = await fetchInboxReminders();
+    if (requestTenantId !== window.tenantId) return;
+    inboxReminders = reminders;
+    if (inboxActive) {
+      renderInbox();
+    } else {
+      updateInboxBadge();
+    }
+  } catch (error) {
+    console.error('Error loading the reminders inbox:', error);
+    if (inboxActive) list.innerHTML = '<div class="error-message">Failed to load reminders. Please try again.</div>';
+  }
+}
+
+function showInboxSection() {
+  document.getElementById('results-section').classList.add('hidden');
+  document.getElementById('detail-section').classList.add('hidden');
+  document.getElementById('board-section').classList.add('hidden');
+  document.getElementById('dashboard-section').classList.add('hidden');
+  document.getElementById('reminders-section').classList.remove('hidden');
+  document.getElementById('search-section').classList.add('board-mode');
+}
+
+function hideInboxSection() {
+  document.getElementById('reminders-section').classList.add('hidden');
+  document.getElementById('search-section').classList.remove('board-mode');
+}
+
+// Leave the inbox (another view is being shown instead)
+function hideInbox() {
+  inboxActive = false;
+  document.getElementById('view-reminders-btn')?.classList.remove('active');
+  hideInboxSection();
+}
+
+async function showInbox() {
+  if (window.jobBoard.isActive()) await window.jobBoard.setView('list');
+  window.arDashboard.hide();
+  window.customerProfile.hide();
+  inboxActive = true;
+  document.getElementById('view-list-btn').classList.remove('active');
+  document.getElementById('view-reminders-btn').classList.add('active');
+  showInboxSection();
+  await refreshInbox();
+}
+
+/**
+ * Binds the inbox controls.
+ * @param {object} options
+ * @param {function} options.onOpenInvoice - Shows the invoice detail view for an InvoiceID.
+ */
+function initRemindersInbox(options) {
+  inboxOptions = options;
+
+  document.getElementById('view-reminders-btn')?.addEventListener('click', showInbox);
+  document.getElementById('reminders-refresh-btn')?.addEventListener('click', refreshInbox);
+  document.getElementById('reminders-complete-btn')?.addEventListener('click', () => runInboxBulkAction('complete'));
+  document.getElementById('reminders-snooze-select')?.addEventListener('change', event => {
+    if (!event.target.value) return;
+    runInboxBulkAction('snooze', snoozeDate(event.target.value));
+    event.target.value = '';
+  });
+  document.getElementById('reminders-select-all')?.addEventListener('change', event => {
+    const visible = inboxReminders.filter(reminder => matchesInboxFilter(reminder, inboxFilter));
+    inboxSelected = event.target.checked ? new Set(visible.map(reminder => reminder.id)) : new Set();
+    renderInbox();
+  });
+}
+
+// Export functions for use in the main application
+window.remindersInbox = {
+  init: initRemindersInbox,
+  show: showInbox,
+  hide: hideInbox,
+  refresh: refreshInbox,
+  showSection: showInboxSection,
+  isActive: () => inboxActive
+};
@@ -0,0 +1,224 @@
+console.log('Search query module loading...');
+
+// Structured search syntax for the invoice search box, e.g.
+//   customer:"Smile Dental" status:AUTHORISED total>500 date:2026-09-01..2026-09-30 has:note
+// Anything without a qualifier is matched against invoice number, reference and customer name.
+
+const SEARCH_QUERY_STATUSES = ['DRAFT', 'SUBMITTED', 'AUTHORISED', 'PAID', 'VOIDED', 'DELETED'];
+const SEARCH_QUERY_HAS_VALUES = ['note', 'reminder'];
+const SEARCH_QUERY_HELP = 'Try e.g. customer:"Smile Dental" ref:1234 status:AUTHORISED total>500 date:2026-09-01..2026-09-30 has:note';
+
+// Thrown for queries that can't be understood; the message is shown to the user as-is
+class SearchQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchQueryError';
+  }
+}
+
+// Split the input into tokens, keeping "quoted phrases" (also after a qualifier) together
+function tokenizeSearchQuery(input) {
+  const tokens = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (const char of input) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+      current += char;
+    } else if (/\s/.test(char) && !inQuotes) {
+      if (current) tokens.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new SearchQueryError('Missing closing quote (") in your search.');
+  }
+  if (current) tokens.push(current);
+  return tokens;
+}
+
+function unquote(value) {
+  return value.replace(/^"(.*)"$/, '$1');
+}
+
+// Validate a YYYY-MM-DD date
+function parseQueryDate(value, token) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+  if (!date || date.getUTCMonth() !== Number(match[2]) - 1) {
+    throw new SearchQueryError(`"${token}" has an invalid date. Use YYYY-MM-DD, e.g. date:2026-09-01..2026-09-30.`);
+  }
+  return value;
+}
+
+/**
+ * Parses the search box text.
+ * @param {string} input - Raw search text.
+ * @returns {{text: string, customer: string|null, ref: string|null, statuses: string[],
+ *            totals: Array<{op: string, value: number}>, dateFrom: string|null, dateTo: string|null,
+ *            has: string[]}}
+ * @throws {SearchQueryError} With a user-facing message when the query is invalid.
+ */
+function parseSearchQuery(input) {
+  const query = { text: '', customer: null, ref: null, statuses: [], totals: [], dateFrom: null, dateTo: null, has: [] };
+  const textParts = [];
+
+  tokenizeSearchQuery(input.trim()).forEach(token => {
+    // total>500, total>=500, total<100, total<=100, total=250
+    const totalMatch = /^total(>=|<=|>|<|=|:)(.*)$/i.exec(token);
+    if (totalMatch) {
+      const value = Number(totalMatch[2]);
+      if (totalMatch[2] === '' || isNaN(value)) {
+        throw new SearchQueryError(`"${token}" needs a number, e.g. total>500.`);
+      }
+      query.totals.push({ op: totalMatch[1] === ':' ? '=' : totalMatch[1], value });
+      return;
+    }
+
+    const qualifierMatch = /^([a-z]+):(.*)$/i.exec(token);
+    if (!qualifierMatch) {
+      textParts.push(unquote(token));
+      return;
+    }
+
+    const field = qualifierMatch[1].toLowerCase();
+    const value = unquote(qualifierMatch[2]).trim();
+    if (!value) {
+      throw new SearchQueryError(`"${field}:" needs a value. ${SEARCH_QUERY_HELP}`);
+    }
+
+    switch (field) {
+      case 'customer':
+      case 'ref':
+        if (query[field] !== null) {
+          throw new SearchQueryError(`${field}: can only be used once per search.`);
+        }
+        query[field] = value;
+        break;
+
+      case 'status':
+        value.toUpperCase().split(',').forEach(status => {
+          if (!SEARCH_QUERY_STATUSES.includes(status)) {
+            throw new SearchQueryError(`Unknown status "${status}". Use one of: ${SEARCH_QUERY_STATUSES.join(', ')}.`);
+          }
+          if (!query.statuses.includes(status)) query.statuses.push(status);
+        });
+        break;
+
+      case 'date': {
+        if (query.dateFrom || query.dateTo) {
+          throw new SearchQueryError('date: can only be used once per search.');
+        }
+        // date:2026-09-01 (one day), date:2026-09-01..2026-09-30, date:2026-09-01.. or date:..2026-09-30
+        const [from, to] = value.includes('..') ? value.split('..') : [value, value];
+        query.dateFrom = from ? parseQueryDate(from, token) : null;
+        query.dateTo = to ? parseQueryDate(to, token) : null;
+        if (!query.dateFrom && !query.dateTo) {
+          throw new SearchQueryError(`"${token}" needs at least one date, e.g. date:2026-09-01..2026-09-30.`);
+        }
+        if (query.dateFrom && query.dateTo && query.dateFrom > query.dateTo) {
+          throw new SearchQueryError(`"${token}" ends before it starts.`);
+        }
+        break;
+      }
+
+      case 'has':
+        if (!SEARCH_QUERY_HAS_VALUES.includes(value.toLowerCase())) {
+          throw new SearchQueryError(`Unknown has:${value}. Use has:note or has:reminder.`);
+        }
+        if (!query.has.includes(value.toLowerCase())) query.has.push(value.toLowerCase());
+        break;
+
+      default:
+        throw new SearchQueryError(`Unknown search field "${field}:". ${SEARCH_QUERY_HELP}`);
+    }
+  });
+
+  query.text = textParts.join(' ');
+  return query;
+}
+
+// Escape a value for use inside a "..." string in a Xero where clause
+function escapeXeroString(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/'/g, "''").toLowerCase();
+}
+
+function toXeroDateTime(isoDate) {
+  return `DateTime(${isoDate.replace(/-/g, ',')})`;
+}
+
+/**
+ * Translates a parsed query into Xero `where` conditions (has: is not expressible there and is
+ * checked against /batch-status by the caller).
+ * @param {object} query - Result of parseSearchQuery.
+ * @returns {string[]} Conditions to be joined with AND.
+ */
+function buildXeroWhereConditions(query) {
+  const conditions = [];
+
+  if (query.text) {
+    const text = escapeXeroString(query.text);
+    conditions.push(`(
+        (InvoiceNumber!=null AND InvoiceNumber.ToLower().Contains("${text}")) OR
+        (Reference!=null AND Reference.ToLower().Contains("${text}")) OR
+        (Contact.Name!=null AND Contact.Name.ToLower().Contains("${text}"))
+      )`);
+  }
+  if (query.customer) {
+    conditions.push(`(Contact.Name!=null AND Contact.Name.ToLower().Contains("${escapeXeroString(query.customer)}"))`);
+  }
+  if (query.ref) {
+    conditions.push(`(Reference!=null AND Reference.ToLower().Contains("${escapeXeroString(query.ref)}"))`);
+  }
+  if (query.statuses.length > 0) {
+    conditions.push(`(${query.statuses.map(status => `Status=="${status}"`).join(' OR ')})`);
+  }
+  query.totals.forEach(({ op, value }) => {
+    conditions.push(`Total${op === '=' ? '==' : op}${value}`);
+  });
+  if (query.dateFrom) conditions.push(`Date>=${toXeroDateTime(query.dateFrom)}`);
+  if (query.dateTo) conditions.push(`Date<=${toXeroDateTime(query.dateTo)}`);
+
+  return conditions;
+}
+
+/**
+ * Parameters for /api/firebase-api/invoices (the invoice mirror) matching a parsed query.
+ * @param {object} query - Result of parseSearchQuery.
+ * @returns {object} q, customer, ref, status, total, from, to - empty values are skipped by the caller.
+ */
+function buildMirrorQueryParams(query) {
+  return {
+    q: query.text,
+    customer: query.customer,
+    ref: query.ref,
+    status: query.statuses.join(','),
+    total: query.totals.map(({ op, value }) => `${op}${value}`).join(','),
+    from: query.dateFrom,
+    to: query.dateTo
+  };
+}
+
+/**
+ * Checks the has: conditions against a /batch-status entry ({ hasNote, hasReminder }).
+ * @param {object} query - Result of parseSearchQuery.
+ * @param {object} [status] - Status map entry for the invoice.
+ * @returns {boolean}
+ */
+function matchesHasConditions(query, status) {
+  return query.has.every(value => (value === 'note' ? status?.hasNote : status?.hasReminder));
+}
+
+// Export functions for use in the main application
+window.searchQuery = {
+  parse: parseSearchQuery,
+  buildXeroWhereConditions,
+  buildMirrorQueryParams,
+  matchesHasConditions,
+  SearchQueryError,
+  HELP: SEARCH_QUERY_HELP
+};
@@ -0,0 +1,417 @@
+console.log('SLA settings module loading...');
+
+// Per-organisation job-age thresholds and holiday calendar (settings/{tenantId} in Firestore).
+// Jobs are "Borderline" from borderlineDays business days and past "Deadline" after deadlineDays;
+// holidays are skipped by the business-day count in getBusinessDaysDifference.
+//
+// SLA rules give particular customers or products their own turnaround. A customer rule wins;
+// otherwise the slowest product rule matching any line item applies; otherwise the defaults.
+
+const SLA_DEFAULT_SETTINGS = { borderlineDays: 7, deadlineDays: 10, holidays: [], slaRules: [] };
+const SLA_MATCH_LABELS = { contact: 'Customer', itemCode: 'Item code', description: 'Description' };
+
+let slaCurrentSettings = { ...SLA_DEFAULT_SETTINGS };
+let slaHolidayDates = new Set();
+let slaEditingHolidays = [];
+let slaEditingRules = [];
+let slaOnChange = null;
+let slaGetContacts = null;
+
+// Local calendar day as YYYY-MM-DD (invoice dates are compared by local day)
+function slaDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function slaEscapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function applySlaSettings(settings) {
+  slaCurrentSettings = { ...SLA_DEFAULT_SETTINGS, ...settings };
+  slaHolidayDates = new Set(slaCurrentSettings.holidays.map(holiday => holiday.date));
+  slaCurrentSettings.slaRules = slaCurrentSettings.slaRules.map(rule => ({ ...rule, pattern: slaPatternToRegExp(rule) }));
+  updateSlaFilterLabels();
+}
+
+// Keep the Job Status filter labels in line with the thresholds
+function updateSlaFilterLabels() {
+  const { borderlineDays, deadlineDays, slaRules } = slaCurrentSettings;
+  const approachingOption = document.querySelector('#job-status-filter option[value="approaching"]');
+  const overdueOption = document.querySelector('#job-status-filter option[value="overdue"]');
+  // With rules in play the day counts differ per job
+  if (approachingOption) {
+    approachingOption.textContent = slaRules.length > 0 ? 'Borderline (nearing SLA)' : `Borderline (${borderlineDays}-${deadlineDays} days)`;
+  }
+  if (overdueOption) {
+    overdueOption.textContent = slaRules.length > 0 ? 'Deadline (past SLA)' : `Deadline (${deadlineDays}+ days)`;
+  }
+}
+
+// Item code patterns match the whole code, description patterns anywhere in the text; * matches anything
+function slaPatternToRegExp(rule) {
+  if (rule.match === 'contact') return null;
+  const source = rule.value.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(rule.match === 'itemCode' ? `^${source}$` : source, 'i');
+}
+
+function slaRuleMatchesLineItem(rule, lineItem) {
+  const text = rule.match === 'itemCode' ? lineItem.ItemCode : lineItem.Description;
+  return Boolean(text) && rule.pattern.test(text);
+}
+
+/**
+ * Loads the settings for an organisation; falls back to the defaults if they can't be read.
+ * @param {string} tenantId - Xero organisation ID.
+ * @returns {Promise<object>} The settings now in effect.
+ */
+async function loadSlaSettings(tenantId) {
+  try {
+    const response = await fetch(`/api/firebase-api/settings/${encodeURIComponent(tenantId)}`);
+    if (!response.ok) {
+      throw new Error(`Failed to load settings: ${response.status}`);
+    }
+    const data = await response.json();
+    applySlaSettings(data.settings);
+    console.log(`Loaded SLA settings: borderline ${slaCurrentSettings.borderlineDays}, deadline ${slaCurrentSettings.deadlineDays}, ${slaHolidayDates.size} holidays`);
+  } catch (error) {
+    console.error('Error loading SLA settings, using defaults:', error);
+    applySlaSettings(SLA_DEFAULT_SETTINGS);
+  }
+  return slaCurrentSettings;
+}
+
+// Is this date one of the organisation's holidays?
+function isSlaHoliday(date) {
+  return slaHolidayDates.has(slaDateKey(date));
+}
+
+function getSlaThresholds() {
+  return { borderlineDays: slaCurrentSettings.borderlineDays, deadlineDays: slaCurrentSettings.deadlineDays };
+}
+
+/**
+ * The turnaround that applies to an invoice.
+ * @param {object} invoice - Xero invoice (LineItems are used when present).
+ * @returns {{borderlineDays: number, deadlineDays: number, rule: object|null}} rule is null for the defaults.
+ */
+function getSlaForInvoice(invoice) {
+  const rules = slaCurrentSettings.slaRules;
+  const contactId = invoice.Contact?.ContactID;
+
+  let rule = rules.find(candidate => candidate.match === 'contact' && candidate.value === contactId) || null;
+  if (!rule) {
+    const lineItems = invoice.LineItems || [];
+    rule = rules
+      .filter(candidate => candidate.match !== 'contact' && lineItems.some(item => slaRuleMatchesLineItem(candidate, item)))
+      .reduce((slowest, candidate) => (!slowest || candidate.deadlineDays > slowest.deadlineDays ? candidate : slowest), null);
+  }
+
+  return rule
+    ? { borderlineDays: rule.borderlineDays, deadlineDays: rule.deadlineDays, rule }
+    : { ...getSlaThresholds(), rule: null };
+}
+
+// Longest deadline in use - how far back the Borderline/Deadline lists need to look
+function getSlaMaxDeadlineDays() {
+  return Math.max(slaCurrentSettings.deadlineDays, ...slaCurrentSettings.slaRules.map(rule => rule.deadlineDays));
+}
+
+/**
+ * Calendar days back from today that cover the given number of business days
+ * (weekends and holidays don't count).
+ * @param {number} businessDays
+ * @returns {number}
+ */
+function getSlaCalendarDaysFor(businessDays) {
+  const day = new Date();
+  let counted = 0;
+  let calendarDays = 0;
+  while (counted < businessDays) {
+    day.setDate(day.getDate() - 1);
+    calendarDays++;
+    if (day.getDay() !== 0 && day.getDay() !== 6 && !isSlaHoliday(day)) counted++;
+  }
+  return calendarDays;
+}
+
+// ------------------------
+// Settings screen
+// ------------------------
+
+function renderSlaHolidayList() {
+  const list = document.getElementById('holiday-list');
+  if (!list) return;
+
+  if (slaEditingHolidays.length === 0) {
+    list.innerHTML = '<div class="empty-state"><p>No holidays yet. Add dates below or import a calendar (.ics).</p></div>';
+    return;
+  }
+
+  list.innerHTML = slaEditingHolidays.map((holiday, index) => `
+    <div class="holiday-item">
+      <span class="holiday-date">${holiday.date}</span>
+      <span class="holiday-name">${slaEscapeHtml(holiday.name)}</span>
+      <button type="button" class="item-action-btn delete" data-index="${index}" title="Remove">🗑️</button>
+    </div>
+  `).join('');
+
+  list.querySelectorAll('.delete').forEach(button => {
+    button.addEventListener('click', () => {
+      slaEditingHolidays.splice(Number(button.dataset.index), 1);
+      renderSlaHolidayList();
+    });
+  });
+}
+
+function describeSlaRule(rule) {
+  if (rule.match === 'contact') return `Customer: ${rule.contactName || rule.value}`;
+  return `${SLA_MATCH_LABELS[rule.match]} matches "${rule.value}"`;
+}
+
+function renderSlaRuleList() {
+  const list = document.getElementById('sla-rule-list');
+  if (!list) return;
+
+  if (slaEditingRules.length === 0) {
+    list.innerHTML = '<div class="empty-state"><p>No SLA rules - every job uses the thresholds above.</p></div>';
+    return;
+  }
+
+  list.innerHTML = slaEditingRules.map((rule, index) => `
+    <div class="sla-rule-item">
+      <span class="sla-rule-name">${slaEscapeHtml(rule.name)}</span>
+      <span class="sla-rule-match">${slaEscapeHtml(describeSlaRule(rule))}</span>
+      <span class="sla-rule-days">${rule.borderlineDays}-${rule.deadlineDays} days</span>
+      <button type="button" class="item-action-btn delete" data-index="${index}" title="Remove">🗑️</button>
+    </div>
+  `).join('');
+
+  list.querySelectorAll('.delete').forEach(button => {
+    button.addEventListener('click', () => {
+      slaEditingRules.splice(Number(button.dataset.index), 1);
+      renderSlaRuleList();
+    });
+  });
+}
+
+// Customer names for the rule form, from the invoices the app has loaded
+function fillSlaContactOptions() {
+  const datalist = document.getElementById('sla-contact-options');
+  if (!datalist) return;
+  const contacts = typeof slaGetContacts === 'function' ? slaGetContacts() : [];
+  datalist.innerHTML = contacts.map(contact => `<option value="${slaEscapeHtml(contact.Name)}"></option>`).join('');
+}
+
+function updateSlaRuleValuePlaceholder() {
+  const match = document.getElementById('sla-rule-match').value;
+  const valueInput = document.getElementById('sla-rule-value');
+  valueInput.placeholder = {
+    contact: 'Customer name (from the list) or ContactID',
+    itemCode: 'Item code, e.g. CRN-*',
+    description: 'Text in the description, e.g. denture'
+  }[match];
+  if (match === 'contact') {
+    valueInput.setAttribute('list', 'sla-contact-options');
+  } else {
+    valueInput.removeAttribute('list');
+  }
+}
+
+function addSlaRule() {
+  const match = document.getElementById('sla-rule-match').value;
+  const nameInput = document.getElementById('sla-rule-name');
+  const valueInput = document.getElementById('sla-rule-value');
+  const borderlineDays = Number(document.getElementById('sla-rule-borderline').value);
+  const deadlineDays = Number(document.getElementById('sla-rule-deadline').value);
+  let value = valueInput.value.trim();
+  let contactName = null;
+
+  if (!value) {
+    showMessage('Please enter a customer or pattern for the rule.', 'error');
+    return;
+  }
+  if (!Number.isInteger(borderlineDays) || !Number.isInteger(deadlineDays) || borderlineDays < 1 || borderlineDays > deadlineDays) {
+    showMessage('Rule thresholds must be whole business days, with borderline no later than the deadline.', 'error');
+    return;
+  }
+
+  if (match === 'contact') {
+    const contacts = typeof slaGetContacts === 'function' ? slaGetContacts() : [];
+    const contact = contacts.find(candidate => candidate.Name.toLowerCase() === value.toLowerCase());
+    if (contact) {
+      value = contact.ContactID;
+      contactName = contact.Name;
+    } else if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) {
+      showMessage('Pick a customer from the list (or paste their Xero ContactID).', 'error');
+      return;
+    }
+  }
+
+  slaEditingRules.push({
+    name: nameInput.value.trim() || contactName || value,
+    match,
+    value,
+    contactName,
+    borderlineDays,
+    deadlineDays
+  });
+  nameInput.value = '';
+  valueInput.value = '';
+  renderSlaRuleList();
+}
+
+function openSlaSettings() {
+  document.getElementById('borderline-days').value = slaCurrentSettings.borderlineDays;
+  document.getElementById('deadline-days').value = slaCurrentSettings.deadlineDays;
+  slaEditingHolidays = slaCurrentSettings.holidays.map(holiday => ({ ...holiday }));
+  renderSlaHolidayList();
+  slaEditingRules = slaCurrentSettings.slaRules.map(({ pattern, ...rule }) => rule);
+  renderSlaRuleList();
+  fillSlaContactOptions();
+  updateSlaRuleValuePlaceholder();
+
+  document.getElementById('search-section').classList.add('hidden');
+  document.getElementById('results-section').classList.add('hidden');
+  document.getElementById('detail-section').classList.add('hidden');
+  document.getElementById('settings-section').classList.remove('hidden');
+}
+
+function closeSlaSettings() {
+  document.getElementById('settings-section').classList.add('hidden');
+  document.getElementById('search-section').classList.remove('hidden');
+  document.getElementById('results-section').classList.remove('hidden');
+}
+
+function addSlaHoliday() {
+  const dateInput = document.getElementById('holiday-date');
+  const nameInput = document.getElementById('holiday-name');
+  if (!dateInput.value) {
+    showMessage('Please choose a date for the holiday.', 'error');
+    return;
+  }
+
+  slaEditingHolidays = slaEditingHolidays.filter(holiday => holiday.date !== dateInput.value);
+  slaEditingHolidays.push({ date: dateInput.value, name: nameInput.value.trim() || 'Holiday' });
+  slaEditingHolidays.sort((a, b) => a.date.localeCompare(b.date));
+  dateInput.value = '';
+  nameInput.value = '';
+  renderSlaHolidayList();
+}
+
+// Saved settings take effect straight away; the app re-renders job ages via onChange
+function notifySlaChange() {
+  if (typeof slaOnChange === 'function') slaOnChange(slaCurrentSettings);
+}
+
+async function saveSlaSettings(event) {
+  event.preventDefault();
+
+  const borderlineDays = Number(document.getElementById('borderline-days').value);
+  const deadlineDays = Number(document.getElementById('deadline-days').value);
+  if (borderlineDays > deadlineDays) {
+    showMessage('The borderline threshold cannot be later than the deadline.', 'error');
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/firebase-api/settings/${encodeURIComponent(window.tenantId)}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ borderlineDays, deadlineDays, holidays: slaEditingHolidays, slaRules: slaEditingRules })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to save settings: ${response.status}`);
+    }
+
+    applySlaSettings(data.settings);
+    closeSlaSettings();
+    showMessage('Settings saved.');
+    notifySlaChange();
+  } catch (error) {
+    console.error('Error saving SLA settings:', error);
+    showMessage(error.message, 'error');
+  }
+}
+
+// Merge the holidays from an .ics file into the saved calendar
+async function importSlaHolidays() {
+  const fileInput = document.getElementById('holiday-ics-file');
+  const file = fileInput.files[0];
+  if (!file) {
+    showMessage('Please choose an .ics calendar file to import.', 'error');
+    return;
+  }
+
+  // The import saves straight away and the list is reloaded from the saved calendar
+  const hasUnsavedHolidays = JSON.stringify(slaEditingHolidays) !== JSON.stringify(slaCurrentSettings.holidays);
+  if (hasUnsavedHolidays && !confirm('Importing reloads the holiday list from the saved calendar, so your unsaved holiday changes will be lost. Import anyway?')) {
+    return;
+  }
+
+  try {
+    const ics = await file.text();
+    const response = await fetch(`/api/firebase-api/settings/${encodeURIComponent(window.tenantId)}/holidays/import`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ ics, replace: document.getElementById('holiday-ics-replace').checked })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to import calendar: ${response.status}`);
+    }
+
+    applySlaSettings(data.settings);
+    slaEditingHolidays = slaCurrentSettings.holidays.map(holiday => ({ ...holiday }));
+    renderSlaHolidayList();
+    fileInput.value = '';
+    showMessage(`Imported ${data.imported} holiday days from ${file.name}.`);
+    notifySlaChange();
+  } catch (error) {
+    console.error('Error importing holiday calendar:', error);
+    showMessage(error.message, 'error');
+  }
+}
+
+/**
+ * Binds the settings screen.
+ * @param {object} [options]
+ * @param {function} [options.onChange] - Called with the new settings after they change.
+ * @param {function} [options.getContacts] - Returns known contacts ([{ ContactID, Name }]) for customer rules.
+ */
+function initSlaSettings(options = {}) {
+  slaOnChange = options.onChange || null;
+  slaGetContacts = options.getContacts || null;
+  updateSlaFilterLabels();
+
+  document.getElementById('settings-btn')?.addEventListener('click', openSlaSettings);
+  document.getElementById('settings-back-btn')?.addEventListener('click', closeSlaSettings);
+  document.getElementById('sla-settings-form')?.addEventListener('submit', saveSlaSettings);
+  document.getElementById('add-holiday-btn')?.addEventListener('click', addSlaHoliday);
+  document.getElementById('import-holidays-btn')?.addEventListener('click', importSlaHolidays);
+  document.getElementById('sla-rule-match')?.addEventListener('change', updateSlaRuleValuePlaceholder);
+  document.getElementById('add-sla-rule-btn')?.addEventListener('click', addSlaRule);
+}
+
+// Export functions for use in the main application
+window.slaSettings = {
+  init: initSlaSettings,
+  load: loadSlaSettings,
+  isHoliday: isSlaHoliday,
+  getThresholds: getSlaThresholds,
+  getForInvoice: getSlaForInvoice,
+  getMaxDeadlineDays: getSlaMaxDeadlineDays,
+  getCalendarDaysFor: getSlaCalendarDaysFor,
+  open: openSlaSettings,
+  close: closeSlaSettings
+};
@@ -0,0 +1,35 @@
+// Service worker for reminder notifications (netlify/functions/reminder-digest.js sends them).
+// It only handles push messages - nothing is cached, the app always loads from the network.
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('push', event => {
+  let notification = {};
+  try {
+    notification = event.data ? event.data.json() : {};
+  } catch (error) {
+    notification = { body: event.data.text() };
+  }
+
+  event.waitUntil(self.registration.showNotification(notification.title || 'Reminders due', {
+    body: notification.body || '',
+    tag: `reminders-${notification.tenantId || 'all'}`, // a newer digest replaces the previous one
+    data: { url: notification.url || '/?view=reminders' }
+  }));
+});
+
+// Open the reminders inbox: in an open tab of the app if there is one, otherwise in a new one
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = new URL(event.notification.data.url, self.location.origin).href;
+
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windowClients => {
+    const appWindow = windowClients.find(client => new URL(client.url).origin === self.location.origin);
+    if (appWindow) {
+      appWindow.postMessage({ type: 'open-reminders' });
+      return appWindow.focus();
+    }
+    return self.clients.openWindow(url);
+  }));
+});
@@ -0,0 +1,213 @@
+console.log('Tracking module loading...');
+
+// Courier tracking tab: consignment numbers stored against the invoice (netlify/functions/tracking.js)
+// and a timeline of the courier's scan events for each of them.
+
+let trackingConsignments = [];
+let trackingInvoice = null;
+let trackingOnChange = null;
+
+function trackingHeaders() {
+  return {
+    'Content-Type': 'application/json',
+    'Xero-Tenant-Id': window.tenantId || ''
+  };
+}
+
+function formatTrackingTime(isoString) {
+  const date = new Date(isoString);
+  return isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+// Human-friendly version of a status code such as OUT_FOR_DELIVERY
+function formatTrackingStatus(status) {
+  if (!status) return 'Awaiting first scan';
+  return status.toLowerCase().replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+}
+
+// Tell the results list about the invoice's new dispatch state (none, in_transit, delivered or exception)
+function notifyDispatchStatus(invoiceId, dispatchStatus) {
+  if (dispatchStatus && typeof trackingOnChange === 'function') trackingOnChange(invoiceId, dispatchStatus);
+}
+
+// Fetch the consignments of the invoice shown in the detail view
+async function fetchTrackingConsignments(refresh = false) {
+  if (!trackingInvoice) return;
+  const invoiceId = trackingInvoice.InvoiceID;
+
+  try {
+    const response = await fetch(`/api/tracking?invoiceId=${encodeURIComponent(invoiceId)}${refresh ? '&refresh=1' : ''}`, {
+      headers: trackingHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch tracking: ${response.status}`);
+    }
+
+    const data = await response.json();
+    // The user may have opened another invoice meanwhile
+    if (trackingInvoice?.InvoiceID !== invoiceId) return;
+    trackingConsignments = data.consignments || [];
+    displayTrackingConsignments();
+    notifyDispatchStatus(invoiceId, data.dispatchStatus);
+  } catch (error) {
+    console.error('Error fetching tracking:', error);
+    showError('tracking-list', 'Failed to load tracking. Please try again.');
+  }
+}
+
+function renderTrackingTimeline(events) {
+  if (!events || events.length === 0) {
+    return '<p class="tracking-empty">No scans from the courier yet.</p>';
+  }
+
+  return `
+    <ol class="tracking-timeline">
+      ${events.map((trackingEvent, index) => `
+        <li class="tracking-event ${index === 0 ? 'latest' : ''}">
+          <div class="tracking-event-time">${formatTrackingTime(trackingEvent.timestamp)}</div>
+          <div class="tracking-event-status">${formatTrackingStatus(trackingEvent.status)}</div>
+          <div class="tracking-event-description">${trackingEvent.description || ''}${trackingEvent.location ? ` - ${trackingEvent.location}` : ''}</div>
+        </li>
+      `).join('')}
+    </ol>
+  `;
+}
+
+function displayTrackingConsignments() {
+  const trackingList = document.getElementById('tracking-list');
+
+  if (!trackingList) {
+    console.error('Tracking list element not found');
+    return;
+  }
+
+  if (trackingConsignments.length === 0) {
+    trackingList.innerHTML = `
+      <div class="empty-state">
+        <p>No consignments on this invoice yet.</p>
+        <p>Add the courier's consignment number below to follow the delivery here.</p>
+      </div>
+    `;
+    return;
+  }
+
+  trackingList.innerHTML = '';
+  trackingConsignments.forEach(consignment => {
+    const card = document.createElement('div');
+    card.className = 'item-card tracking-card';
+    card.dataset.id = consignment.id;
+
+    card.innerHTML = `
+      <div class="item-header">
+        <div>
+          <strong>${consignment.consignmentNumber}</strong>
+          <span class="item-date">${consignment.providerLabel}</span>
+          <span class="tracking-status ${consignment.delivered ? 'delivered' : ''}">${formatTrackingStatus(consignment.status)}</span>
+        </div>
+        <div class="item-actions">
+          ${consignment.trackingUrl ? `<a class="item-action-btn" href="${consignment.trackingUrl}" target="_blank" rel="noopener noreferrer" title="Open on the courier's website">🔗</a>` : ''}
+          <button class="item-action-btn refresh" title="Check for new scans">🔄</button>
+          <button class="item-action-btn delete" title="Remove consignment">🗑️</button>
+        </div>
+      </div>
+      ${consignment.trackingError ? `<div class="tracking-warning">${consignment.trackingError}</div>` : ''}
+      ${renderTrackingTimeline(consignment.events)}
+      ${consignment.lastCheckedAt ? `<div class="item-date">Last checked ${formatTrackingTime(consignment.lastCheckedAt)}</div>` : ''}
+    `;
+
+    card.querySelector('.refresh').addEventListener('click', () => fetchTrackingConsignments(true));
+    card.querySelector('.delete').addEventListener('click', () => removeConsignment(consignment));
+
+    trackingList.appendChild(card);
+  });
+}
+
+// Add a consignment number to the current invoice
+async function addConsignment(event) {
+  event.preventDefault();
+
+  const input = document.getElementById('consignment-number');
+  const consignmentNumber = input.value.trim();
+
+  if (!consignmentNumber) {
+    alert('Please enter a consignment number');
+    return;
+  }
+
+  try {
+    const response = await fetch('/api/tracking', {
+      method: 'POST',
+      headers: trackingHeaders(),
+      body: JSON.stringify({
+        invoiceId: trackingInvoice.InvoiceID,
+        invoiceNumber: trackingInvoice.InvoiceNumber,
+        consignmentNumber
+      })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `Failed to add consignment: ${response.status}`);
+    }
+
+    input.value = '';
+    trackingConsignments.push(data.consignment);
+    displayTrackingConsignments();
+    showMessage(`Consignment ${data.consignment.consignmentNumber} added`);
+    notifyDispatchStatus(trackingInvoice.InvoiceID, data.dispatchStatus);
+  } catch (error) {
+    console.error('Error adding consignment:', error);
+    showError('tracking-form', error.message);
+  }
+}
+
+async function removeConsignment(consignment) {
+  if (!confirm(`Remove consignment ${consignment.consignmentNumber} from this invoice?`)) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/tracking/${encodeURIComponent(consignment.id)}`, {
+      method: 'DELETE',
+      headers: trackingHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to remove consignment: ${response.status}`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    trackingConsignments = trackingConsignments.filter(c => c.id !== consignment.id);
+    displayTrackingConsignments();
+    showMessage('Consignment removed');
+    notifyDispatchStatus(trackingInvoice.InvoiceID, data.dispatchStatus);
+  } catch (error) {
+    console.error('Error removing consignment:', error);
+    showError('tracking-list', 'Failed to remove consignment. Please try again.');
+  }
+}
+
+/**
+ * Shows the consignments of an invoice in the detail view's Tracking tab.
+ * @param {object} invoice - Xero invoice.
+ * @param {object} [options]
+ * @param {function} [options.onChange] - Called with (invoiceId, dispatchStatus) whenever the consignments are loaded or change.
+ */
+function initTracking(invoice, options = {}) {
+  trackingInvoice = invoice;
+  trackingOnChange = options.onChange || null;
+  trackingConsignments = [];
+  fetchTrackingConsignments();
+
+  const trackingForm = document.getElementById('add-consignment-form');
+  if (trackingForm) {
+    trackingForm.addEventListener('submit', addConsignment);
+  }
+}
+
+// Export functions for use in the main application
+window.consignmentTracking = {
+  init: initTracking,
+  refresh: () => fetchTrackingConsignments(true)
+};
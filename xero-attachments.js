@@ -0,0 +1,221 @@
+console.log('Xero attachments module loading...');
+
+// Invoice details tab extras from Xero, through the xero-api proxy: the invoice's attachments
+// (downloadable), its online invoice link for resending it to a clinic on the phone, and the
+// invoice PDF (download and print).
+
+// Xero only has an online invoice once the invoice is approved
+const ONLINE_INVOICE_STATUSES = ['AUTHORISED', 'PAID'];
+// Accept types the proxy passes through for downloads; anything else is fetched as octet-stream
+const XERO_DOWNLOAD_TYPE_PATTERN = /^(application\/pdf|image\/[\w.+-]+)$/;
+
+let xeroAttachmentsInvoice = null;
+
+function formatAttachmentSize(bytes) {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function fetchXeroAttachments(invoice) {
+  const panel = document.getElementById('xero-attachments-panel');
+
+  try {
+    const response = await xeroApiFetch(`/api/xero-api/Invoices/${invoice.InvoiceID}/Attachments`);
+    if (!response.ok) {
+      throw new Error(`Failed to load attachments: ${response.status}`);
+    }
+
+    const data = await response.json();
+    // The user may have opened another invoice meanwhile
+    if (xeroAttachmentsInvoice !== invoice || !panel) return;
+
+    const attachments = data.Attachments || [];
+    if (attachments.length === 0) {
+      panel.innerHTML = '<span class="item-date">No attachments in Xero.</span>';
+      return;
+    }
+
+    panel.innerHTML = `
+      <ul class="xero-attachment-list">
+        ${attachments.map(attachment => `
+          <li>
+            <button type="button" class="link-button" data-id="${attachment.AttachmentID}">${attachment.FileName}</button>
+            <span class="item-date">${formatAttachmentSize(attachment.ContentLength)}</span>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+    panel.querySelectorAll('.link-button').forEach(button => {
+      const attachment = attachments.find(item => item.AttachmentID === button.dataset.id);
+      button.addEventListener('click', () => downloadXeroAttachment(invoice, attachment));
+    });
+  } catch (error) {
+    console.error('Error loading Xero attachments:', error);
+    if (panel && xeroAttachmentsInvoice === invoice) {
+      panel.innerHTML = '<span class="error-message">Failed to load attachments from Xero.</span>';
+    }
+  }
+}
+
+// The proxy needs the tenant header, so files are fetched here and saved from a blob URL
+async function downloadXeroAttachment(invoice, attachment) {
+  try {
+    const accept = XERO_DOWNLOAD_TYPE_PATTERN.test(attachment.MimeType) ? attachment.MimeType : 'application/octet-stream';
+    const response = await xeroApiFetch(`/api/xero-api/Invoices/${invoice.InvoiceID}/Attachments/${attachment.AttachmentID}`, {
+      headers: { 'Accept': accept }
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to download ${attachment.FileName}: ${response.status}`);
+    }
+
+    saveBlob(await response.blob(), attachment.FileName);
+  } catch (error) {
+    console.error('Error downloading Xero attachment:', error);
+    showMessage(error.message, 'error');
+  }
+}
+
+function saveBlob(blob, fileName) {
+  const objectUrl = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(objectUrl), 60 * 1000);
+}
+
+async function fetchInvoicePdf(invoice) {
+  const response = await xeroApiFetch(`/api/xero-api/invoices/${invoice.InvoiceID}/pdf`);
+  if (!response.ok) {
+    throw new Error(`Failed to get the invoice PDF: ${response.status}`);
+  }
+  return response.blob();
+}
+
+async function downloadInvoicePdf(invoice) {
+  try {
+    showMessage('Getting the invoice PDF from Xero...', 'info');
+    saveBlob(await fetchInvoicePdf(invoice), `${invoice.InvoiceNumber || invoice.InvoiceID}.pdf`);
+  } catch (error) {
+    console.error('Error downloading the invoice PDF:', error);
+    showMessage(error.message, 'error');
+  }
+}
+
+// Print from a hidden frame so staff stay on the invoice
+async function printInvoicePdf(invoice) {
+  let objectUrl;
+  try {
+    showMessage('Getting the invoice PDF from Xero...', 'info');
+    objectUrl = URL.createObjectURL(await fetchInvoicePdf(invoice));
+  } catch (error) {
+    console.error('Error printing the invoice PDF:', error);
+    showMessage(error.message, 'error');
+    return;
+  }
+
+  document.getElementById('invoice-print-frame')?.remove();
+  const frame = document.createElement('iframe');
+  frame.id = 'invoice-print-frame';
+  // Zero-sized rather than display: none, or the browser's PDF viewer doesn't load
+  frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+  frame.src = objectUrl;
+  frame.addEventListener('load', () => {
+    try {
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+    } catch (error) {
+      // Some browsers won't print a PDF from a frame - open it so it can be printed from the viewer
+      console.warn('Printing from a frame failed, opening the PDF instead:', error);
+      window.open(objectUrl, '_blank');
+    }
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 5 * 60 * 1000);
+  });
+  document.body.appendChild(frame);
+}
+
+function renderOnlineInvoiceLink(invoice, onlineInvoiceUrl) {
+  const panel = document.getElementById('online-invoice-panel');
+  if (!panel) return;
+
+  const email = invoice.Contact?.EmailAddress || '';
+  const subject = `Invoice ${invoice.InvoiceNumber || ''}`.trim();
+  const body = `Hi,\n\nYou can view, download and pay invoice ${invoice.InvoiceNumber || ''} here:\n${onlineInvoiceUrl}\n\nThank you`;
+  const mailto = `mailto:${encodeURIComponent(email)}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+
+  panel.innerHTML = `
+    <input type="text" class="online-invoice-url" value="${onlineInvoiceUrl}" readonly>
+    <div class="form-actions">
+      <button type="button" class="btn secondary" id="copy-online-invoice-btn">Copy link</button>
+      <a class="btn secondary" href="${mailto}" title="${email ? `Email to ${email}` : 'Email the link'}">Email link</a>
+      <a class="btn secondary" href="${onlineInvoiceUrl}" target="_blank" rel="noopener noreferrer">Open</a>
+    </div>
+  `;
+
+  const urlInput = panel.querySelector('.online-invoice-url');
+  urlInput.addEventListener('focus', () => urlInput.select());
+  panel.querySelector('#copy-online-invoice-btn').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(onlineInvoiceUrl);
+      showMessage('Online invoice link copied');
+    } catch (error) {
+      // Clipboard API blocked (e.g. not HTTPS) - leave the link selected for Ctrl+C
+      urlInput.focus();
+      showMessage('Press Ctrl+C to copy the selected link', 'info');
+    }
+  });
+}
+
+async function fetchOnlineInvoice(invoice) {
+  const panel = document.getElementById('online-invoice-panel');
+  if (!panel) return;
+
+  if (!ONLINE_INVOICE_STATUSES.includes(invoice.Status)) {
+    panel.innerHTML = '<span class="item-date">The online invoice is available once the invoice is approved.</span>';
+    return;
+  }
+
+  try {
+    const response = await xeroApiFetch(`/api/xero-api/Invoices/${invoice.InvoiceID}/OnlineInvoice`);
+    if (!response.ok) {
+      throw new Error(`Failed to load the online invoice: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (xeroAttachmentsInvoice !== invoice) return;
+
+    const onlineInvoiceUrl = data.OnlineInvoices?.[0]?.OnlineInvoiceUrl;
+    if (!onlineInvoiceUrl) {
+      panel.innerHTML = '<span class="item-date">Xero has no online invoice for this invoice.</span>';
+      return;
+    }
+    renderOnlineInvoiceLink(invoice, onlineInvoiceUrl);
+  } catch (error) {
+    console.error('Error loading the online invoice:', error);
+    if (xeroAttachmentsInvoice === invoice) {
+      panel.innerHTML = '<span class="error-message">Failed to load the online invoice link from Xero.</span>';
+    }
+  }
+}
+
+/**
+ * Fills the attachments and online invoice sections of the Invoice Details tab
+ * and binds its Download PDF / Print buttons.
+ * @param {object} invoice - Xero invoice.
+ */
+function initXeroAttachments(invoice) {
+  xeroAttachmentsInvoice = invoice;
+  fetchOnlineInvoice(invoice);
+  fetchXeroAttachments(invoice);
+
+  document.getElementById('download-pdf-btn')?.addEventListener('click', () => downloadInvoicePdf(invoice));
+  document.getElementById('print-pdf-btn')?.addEventListener('click', () => printInvoicePdf(invoice));
+}
+
+// Export functions for use in the main application
+window.xeroAttachments = {
+  init: initXeroAttachments
+};